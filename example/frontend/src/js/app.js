@@ -1,19 +1,22 @@
 import "../assets/app.css";
-import Store from "./store.js";
+import createTodoStore from "./store.js";
 import { createApp, HashRouter } from "frontend-framework";
 import AppRoot from "./components/AppRoot.js";
 import TodoPageComponent from "./components/TodoPageComponent.js";
-import AboutPageComponent from "./components/AboutPageComponent.js";
 
-const store = new Store("blind-todo-app-storage");
+const store = createTodoStore();
+
+const loadTodos = () => store.dispatch("findAll");
 
 const routes = [
-  { path: "/", component: TodoPageComponent, name: "All" },
-  { path: "/active", component: TodoPageComponent, name: "Active" },
-  { path: "/completed", component: TodoPageComponent, name: "Completed" },
-  { path: "/about", component: AboutPageComponent, name: "About" },
+  { path: "/", component: TodoPageComponent, name: "All", title: "All tasks", loader: loadTodos },
+  { path: "/active", component: TodoPageComponent, name: "Active", title: "Active tasks", loader: loadTodos },
+  { path: "/completed", component: TodoPageComponent, name: "Completed", title: "Completed tasks", loader: loadTodos },
+  { path: "/about", component: () => import("./components/AboutPageComponent.js"), name: "About", title: "About" },
 ];
-const router = new HashRouter(routes);
+const router = new HashRouter(routes, {
+  scrollBehavior: (to, from, savedPosition) => savedPosition ?? { top: 0 },
+});
 
-const app = createApp(AppRoot, { context: { store: store } }, { router });
+const app = createApp(AppRoot, {}, { router, store });
 app.mount(document.querySelector(".todoapp"));
@@ -1,32 +1,25 @@
 import { defineComponent, h, RouterOutlet } from "frontend-framework";
 
-export default defineComponent({
-  state() {
-    return {
-      todos: [],
-      isLoading: true,
-    };
+const LoadingTasks = defineComponent({
+  render() {
+    return h("p", {}, ["Loading tasks..."]);
   },
+});
 
-  async onMounted() {
-    this.updateState({ isLoading: true });
-    const store = this.appContext.store;
-    try {
-      const initialTodos = await store.findAll();
-      this.updateState({ todos: initialTodos || [], isLoading: false });
-    } catch (error) {
-      console.error("AppRoot: Failed to load initial todos", error);
-      this.updateState({ isLoading: false, todos: [] });
-    }
+const LoadingFailed = defineComponent({
+  render() {
+    return h("p", {}, ["Failed to load tasks."]);
   },
+});
 
+export default defineComponent({
   render() {
-    const { isLoading } = this.state;
-
-    if (isLoading) {
-      return h("p", {}, ["Loading tasks..."]);
-    }
-
-    return h("div", { class: "todoapp-outer-container" }, [h(RouterOutlet)]);
+    return h("div", { class: "todoapp-outer-container" }, [
+      h(RouterOutlet, {
+        loading: LoadingTasks,
+        error: LoadingFailed,
+        keepAlive: { include: "TodoPage" },
+      }),
+    ]);
   },
 });
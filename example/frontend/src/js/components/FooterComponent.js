@@ -1,16 +1,15 @@
 import { defineComponent, h, RouterLink } from "frontend-framework";
 
 export default defineComponent({
+  name: "Footer",
   props: {
-    activeCount: 0,
-    completedCount: 0,
-    currentFilter: "all",
-    onClearCompleted: () => {},
+    activeCount: { type: Number, default: 0 },
+    completedCount: { type: Number, default: 0 },
+    currentFilter: { type: String, default: "all" },
+    onClearCompleted: { type: Function, default: () => {} },
   },
   render() {
     const stats = this.appContext.getTodoStats();
-    const currentFilter =
-      this.appContext.router.matchedRoute?.name?.toLowerCase() || "all";
     const onClearCompleted = this.appContext.todoHandlers.clearCompleted;
     const { active: activeCount, completed: completedCount } = stats;
 
@@ -26,8 +25,8 @@ export default defineComponent({
           h(
             RouterLink,
             {
-              to: "/",
-              class: currentFilter === "all" ? "selected" : "",
+              to: { name: "All" },
+              exactActiveClass: "selected",
             },
             ["All"]
           ),
@@ -36,8 +35,8 @@ export default defineComponent({
           h(
             RouterLink,
             {
-              to: "/active",
-              class: currentFilter === "active" ? "selected" : "",
+              to: { name: "Active" },
+              exactActiveClass: "selected",
             },
             ["Active"]
           ),
@@ -46,8 +45,8 @@ export default defineComponent({
           h(
             RouterLink,
             {
-              to: "/completed",
-              class: currentFilter === "completed" ? "selected" : "",
+              to: { name: "Completed" },
+              exactActiveClass: "selected",
             },
             ["Completed"]
           ),
@@ -56,8 +55,9 @@ export default defineComponent({
       h(
         RouterLink,
         {
-          to: "/about",
+          to: { name: "About" },
           class: "about-link",
+          prefetch: true,
         },
         ["About"]
       ),
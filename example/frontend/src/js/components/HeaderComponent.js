@@ -25,9 +25,6 @@ export default defineComponent({
         this.updateState({ newTodoTitle: "" });
       }
     },
-    handleInput(event) {
-      this.updateState({ newTodoTitle: event.target.value });
-    },
   },
   render() {
     return h("header", { class: "header" }, [
@@ -37,8 +34,7 @@ export default defineComponent({
           class: "new-todo",
           placeholder: "What needs to be done?",
           autofocus: true,
-          value: this.state.newTodoTitle,
-          on: { input: this.methods.handleInput.bind(this) },
+          model: "newTodoTitle",
         }),
       ]),
     ]);
@@ -1,11 +1,12 @@
-import { defineComponent, h, hSlot } from "frontend-framework";
+import { defineComponent, h, hSlot, nextTick } from "frontend-framework";
 
 export default defineComponent({
+  name: "TodoItem",
   props: {
-    todo: {},
-    onToggle: () => {},
-    onRemove: () => {},
-    onSave: () => {},
+    todo: { type: Object, required: true },
+    onToggle: { type: Function, default: () => {} },
+    onRemove: { type: Function, default: () => {} },
+    onSave: { type: Function, default: () => {} },
   },
   state() {
     return {
@@ -13,12 +14,19 @@ export default defineComponent({
       editText: "",
     };
   },
+  shouldUpdate(nextProps, nextState) {
+    return nextProps.todo !== this.props.todo || nextState !== this.state;
+  },
+  onMounted() {
+    this.methods.resetTitle.call(this);
+  },
   onUnmounted() {
     console.log(`Todo ${this.props.todo.title} was removed.`);
   },
   methods: {
     handleDoubleClick() {
       this.updateState({ editing: true, editText: this.props.todo.title });
+      nextTick().then(() => this.refs.editInput?.focus());
     },
     handleSave() {
       if (this.state.editing) {
@@ -30,9 +38,6 @@ export default defineComponent({
     handleCancelEdit() {
       this.updateState({ editing: false });
     },
-    handleEditInput(event) {
-      this.updateState({ editText: event.target.value });
-    },
     handleKeyDown(event) {
       if (event.key === "Enter") {
         this.methods.handleSave.call(this);
@@ -85,9 +90,9 @@ export default defineComponent({
         h("input", {
           class: "edit",
           type: "text",
-          value: this.state.editText,
+          ref: "editInput",
+          model: "editText",
           on: {
-            input: this.methods.handleEditInput.bind(this),
             blur: this.methods.handleSave.bind(this),
             keydown: this.methods.handleKeyDown.bind(this),
           },
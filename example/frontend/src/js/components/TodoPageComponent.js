@@ -1,36 +1,22 @@
-import { defineComponent, h, hFragment, enqueueJob } from "frontend-framework";
+import { defineComponent, h, hFragment, TransitionGroup } from "frontend-framework";
 import TodoItemComponent from "./TodoItemComponent.js";
 import HeaderComponent from "./HeaderComponent.js";
 import FooterComponent from "./FooterComponent.js";
 
 export default defineComponent({
+  name: "TodoPage",
+
   state() {
     return {
-      todos: [],
-      isLoading: true,
+      todos: this.appContext.store.select((state) => state.todos),
     };
   },
 
-  async onMounted() {
-    this.updateState({ isLoading: true });
-    const store = this.appContext.store;
-    try {
-      const initialTodos = await store.findAll();
-      this.updateState({ todos: initialTodos || [], isLoading: false });
-    } catch (error) {
-      console.error("TodoPageComponent: Failed to load initial todos", error);
-      this.updateState({ isLoading: false, todos: [] });
-    }
-  },
-
   methods: {
     async handleAddItem(title) {
       const store = this.appContext.store;
       try {
-        const newItems = await store.save({ title, completed: false });
-        if (newItems && newItems.length > 0) {
-          this.updateState({ todos: [...this.state.todos, newItems[0]] });
-        }
+        await store.dispatch("save", { item: { title, completed: false } });
       } catch (error) {
         console.error("Error adding item:", error);
       }
@@ -38,20 +24,13 @@ export default defineComponent({
 
     async handleToggleItem(id) {
       const store = this.appContext.store;
-      const todo = this.state.todos.find((t) => t.id === id);
+      const todo = this.state.todos.value.find((t) => t.id === id);
       if (todo) {
         try {
-          const updatedItems = await store.save(
-            { completed: !todo.completed },
-            id
-          );
-          if (updatedItems && updatedItems.length > 0) {
-            this.updateState({
-              todos: this.state.todos.map((t) =>
-                t.id === id ? updatedItems[0] : t
-              ),
-            });
-          }
+          await store.dispatch("save", {
+            item: { completed: !todo.completed },
+            id,
+          });
         } catch (error) {
           console.error("Error toggling item:", error);
         }
@@ -61,10 +40,7 @@ export default defineComponent({
     async handleRemoveItem(id) {
       const store = this.appContext.store;
       try {
-        await store.remove(id);
-        this.updateState({
-          todos: this.state.todos.filter((t) => t.id !== id),
-        });
+        await store.dispatch("remove", id);
       } catch (error) {
         console.error("Error removing item:", error);
       }
@@ -77,14 +53,7 @@ export default defineComponent({
         return;
       }
       try {
-        const updatedItems = await store.save({ title: newTitle }, id);
-        if (updatedItems && updatedItems.length > 0) {
-          this.updateState({
-            todos: this.state.todos.map((t) =>
-              t.id === id ? updatedItems[0] : t
-            ),
-          });
-        }
+        await store.dispatch("save", { item: { title: newTitle }, id });
       } catch (error) {
         console.error("Error editing item:", error);
       }
@@ -93,15 +62,11 @@ export default defineComponent({
     async handleClearCompleted() {
       const store = this.appContext.store;
       try {
-        const completedIds = this.state.todos
+        const completedIds = this.state.todos.value
           .filter((t) => t.completed)
           .map((t) => t.id);
-        if (completedIds.length > 0) {
-          for (const id of completedIds) {
-            await store.remove(id);
-          }
-          const allTodos = await store.findAll();
-          this.updateState({ todos: allTodos || [] });
+        for (const id of completedIds) {
+          await store.dispatch("remove", id);
         }
       } catch (error) {
         console.error("Error clearing completed:", error);
@@ -109,37 +74,31 @@ export default defineComponent({
     },
 
     navigateToAbout() {
-      this.appContext.router.navigateTo("/about");
+      this.appContext.router.navigateTo({ name: "About" });
     },
 
     async handleToggleAll(completedState) {
       const store = this.appContext.store;
-      const todosToUpdate = this.state.todos.filter(
+      const todosToUpdate = this.state.todos.value.filter(
         (todo) => todo.completed !== completedState
       );
       if (todosToUpdate.length === 0) return;
       try {
         await Promise.all(
           todosToUpdate.map((todo) =>
-            store.save({ completed: completedState }, todo.id)
+            store.dispatch("save", {
+              item: { completed: completedState },
+              id: todo.id,
+            })
           )
         );
-        enqueueJob(() => {
-          this.updateState({
-            todos: this.state.todos.map((t) =>
-              t.completed !== completedState
-                ? { ...t, completed: completedState }
-                : t
-            ),
-          });
-        });
       } catch (error) {
         console.error("Error toggling all items:", error);
       }
     },
 
     getFilteredTodos() {
-      const { todos } = this.state;
+      const todos = this.state.todos.value;
       const currentRouteName =
         this.appContext.router.matchedRoute?.name?.toLowerCase() || "all";
 
@@ -154,11 +113,7 @@ export default defineComponent({
   },
 
   render() {
-    const { todos, isLoading } = this.state;
-
-    if (isLoading) {
-      return h("p", {}, ["Loading tasks..."]);
-    }
+    const todos = this.state.todos.value;
 
     const todoHandlers = {
       addItem: this.methods.handleAddItem.bind(this),
@@ -167,7 +122,7 @@ export default defineComponent({
       editItem: this.methods.handleEditItem.bind(this),
       clearCompleted: this.methods.handleClearCompleted.bind(this),
       toggleAll: this.methods.handleToggleAll.bind(this),
-      getTodos: () => this.state.todos,
+      getTodos: () => this.state.todos.value,
     };
     this.appContext.todoHandlers = todoHandlers;
 
@@ -211,7 +166,7 @@ export default defineComponent({
       }
 
       return hFragment([
-        h("ul", { class: "todo-list" }, [
+        h(TransitionGroup, { tag: "ul", class: "todo-list", name: "todo" }, [
           ...filteredTodos.map((todo) =>
             h(
               TodoItemComponent,
@@ -224,17 +179,12 @@ export default defineComponent({
                 on: {
                   todoToggled: (event) => console.log("Todo toggled", event),
                 },
-                ref: (component) => {
-                  if (component) {
-                    component.methods.resetTitle();
-                  }
-                },
               },
-              [
-                h("div", { class: "extra-info" }, [
+              {
+                "extra-info": h("div", { class: "extra-info" }, [
                   `Created: ${new Date().toLocaleDateString()}`,
                 ]),
-              ]
+              }
             )
           ),
         ]),
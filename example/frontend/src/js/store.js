@@ -1,80 +1,82 @@
+import { createStore } from 'frontend-framework';
 import { http } from './http.js';
 
-export class Store {
+export function createTodoStore() {
+    return createStore({
+        state: { todos: [] },
 
-    constructor(name ) {
-        this._dbName = name;
-        this.commands = {};
-        this.afterEveryCommand = [];
-    }
+        reducers: {
+            TODOS_LOADED: (state, todos) => ({ ...state, todos }),
+            TODO_CREATED: (state, todo) => ({ ...state, todos: [...state.todos, todo] }),
+            TODO_UPDATED: (state, todo) => ({
+                ...state,
+                todos: state.todos.map((t) => (t.id === todo.id ? todo : t)),
+            }),
+            TODO_REMOVED: (state, id) => ({
+                ...state,
+                todos: state.todos.filter((t) => t.id !== id),
+            }),
+            COMPLETED_REMOVED: (state) => ({
+                ...state,
+                todos: state.todos.filter((t) => !t.completed),
+            }),
+        },
 
-    subscribe(command, handler) {
-      this.commands[command] = handler;
-    }
+        actions: {
+            async findAll({ dispatch }) {
+                try {
+                    const items = await http.get('');
+                    dispatch('TODOS_LOADED', items || []);
+                    return items || [];
+                } catch (error) {
+                    console.error("Store.findAll: Error fetching items:", error);
+                    throw error;
+                }
+            },
 
-    dispatch(command, payload) {
-      if (this.commands[command]) {
-        this.commands[command](payload);
-        this.afterEveryCommand.forEach(hook => hook());
-      }
-    }
+            async save({ dispatch }, { item, id }) {
+                try {
+                    let savedOrUpdatedItem;
+                    if (id !== undefined && id !== null) {
+                        const updatePayload = {};
+                        if (item.title !== undefined) updatePayload.title = item.title;
+                        if (item.completed !== undefined) updatePayload.completed = item.completed;
+                        savedOrUpdatedItem = await http.put(`/${id}`, updatePayload);
+                    } else {
+                        savedOrUpdatedItem = await http.post('', { title: item.title });
+                    }
+                    if (!savedOrUpdatedItem) {
+                        throw new Error("Save operation returned no item.");
+                    }
+                    dispatch(id != null ? 'TODO_UPDATED' : 'TODO_CREATED', savedOrUpdatedItem);
+                    return savedOrUpdatedItem;
+                } catch (error) {
+                    console.error(`Store.save: Error for item ${id || 'new'}:`, error);
+                    throw error;
+                }
+            },
 
-    addAfterCommandHook(hook) {
-      this.afterEveryCommand.push(hook);
-    }
+            async remove({ dispatch }, id) {
+                try {
+                    await http.delete(`/${id}`);
+                    dispatch('TODO_REMOVED', id);
+                } catch (error) {
+                    console.error(`Store.remove: Error deleting item ID ${id}:`, error);
+                    throw error;
+                }
+            },
 
-    async findAll() {
-        try {
-            const items = await http.get('');
-            this.dispatch('TODOS_LOADED', items);
-            return items || [];
-        } catch (error) {
-            console.error("Store.findAll: Error fetching items:", error);
-            throw error;
-        }
-    }
-
-    async save(itemData, idToUpdate) {
-        try {
-            let savedOrUpdatedItem;
-            if (idToUpdate !== undefined && idToUpdate !== null) {
-                const updatePayload = {};
-                if (itemData.title !== undefined) updatePayload.title = itemData.title;
-                if (itemData.completed !== undefined) updatePayload.completed = itemData.completed;
-                savedOrUpdatedItem = await http.put(`/${idToUpdate}`, updatePayload);
-                this.dispatch('TODO_UPDATED', savedOrUpdatedItem);
-            } else {
-                const createPayload = { title: itemData.title };
-                savedOrUpdatedItem = await http.post('', createPayload);
-                this.dispatch('TODO_CREATED', savedOrUpdatedItem);
-            }
-            if (!savedOrUpdatedItem) {
-                throw new Error("Save operation returned no item.");
-            }
-            return [savedOrUpdatedItem];
-        } catch (error) {
-            console.error(`Store.save: Error for item ${idToUpdate || 'new'}:`, error);
-            throw error;
-        }
-    }
-
-    async remove(id) {
-        try {
-            await http.delete(`/${id}`);
-        } catch (error) {
-            console.error(`Store.remove: Error deleting item ID ${id}:`, error);
-            throw error;
-        }
-    }
-
-    async drop() {
-        try {
-            await http.delete('/completed');
-        } catch (error) {
-            console.error("Store.drop (deleteCompleted): Error:", error);
-            throw error;
-        }
-    }
+            async drop({ dispatch }) {
+                try {
+                    await http.delete('/completed');
+                    dispatch('COMPLETED_REMOVED');
+                } catch (error) {
+                    console.error("Store.drop (deleteCompleted): Error:", error);
+                    throw error;
+                }
+            },
+        },
+    });
 }
 
-export default Store;
\ No newline at end of file
+export default createTodoStore;
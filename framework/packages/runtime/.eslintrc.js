@@ -4,7 +4,14 @@ module.exports = {
     es2021: true,
   },
   extends: 'eslint:recommended',
-  overrides: [],
+  overrides: [
+    {
+      files: ['src/utils/env.js'],
+      env: {
+        node: true,
+      },
+    },
+  ],
   parserOptions: {
     ecmaVersion: 'latest',
     sourceType: 'module',
@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { defineComponent } from "../component.js";
+import { normalizePropsDefinitions, resolveProps } from "../component-props.js";
+import { h, hFragment } from "../h.js";
+import { mountDOM } from "../mount-dom.js";
+
+describe("component-props.js", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe("normalizePropsDefinitions()", () => {
+    it("should accept arrays of names and type shorthands", () => {
+      expect(normalizePropsDefinitions(["todo"])).toEqual({ todo: {} });
+      expect(normalizePropsDefinitions({ count: Number, id: [String, Number] })).toEqual({
+        count: { type: Number },
+        id: { type: [String, Number] },
+      });
+    });
+  });
+
+  describe("resolveProps()", () => {
+    it("should separate declared props from fallthrough attributes", () => {
+      const definitions = normalizePropsDefinitions({ title: String });
+      const { props, attrs } = resolveProps(definitions, { title: "Hi", class: "big" }, "Card");
+
+      expect(props).toEqual({ title: "Hi" });
+      expect(attrs).toEqual({ class: "big" });
+    });
+
+    it("should fill defaults, calling factories for non-function types", () => {
+      const onSave = () => {};
+      const definitions = normalizePropsDefinitions({
+        count: { type: Number, default: 0 },
+        tags: { type: Array, default: () => ["new"] },
+        onSave: { type: Function, default: onSave },
+      });
+
+      const { props } = resolveProps(definitions, {}, "Todo");
+
+      expect(props).toEqual({ count: 0, tags: ["new"], onSave });
+    });
+
+    it("should warn about missing required props", () => {
+      const definitions = normalizePropsDefinitions({ todo: { type: Object, required: true } });
+      resolveProps(definitions, {}, "TodoItem");
+
+      expect(console.warn).toHaveBeenCalledWith('[props] <TodoItem>: Missing required prop "todo"');
+    });
+
+    it("should warn about wrongly typed props", () => {
+      const definitions = normalizePropsDefinitions({ count: Number });
+      resolveProps(definitions, { count: "3" }, "Counter");
+
+      expect(console.warn).toHaveBeenCalledWith(
+        '[props] <Counter>: Invalid prop "count": expected Number, got String'
+      );
+    });
+
+    it("should run custom validators", () => {
+      const definitions = normalizePropsDefinitions({
+        filter: { type: String, validator: (value) => ["all", "active"].includes(value) },
+      });
+      resolveProps(definitions, { filter: "done" }, "Footer");
+
+      expect(console.warn).toHaveBeenCalledWith(
+        '[props] <Footer>: Invalid prop "filter": custom validator check failed'
+      );
+    });
+  });
+
+  describe("defineComponent({ props })", () => {
+    it("should pass fallthrough attributes to the root element", () => {
+      const Button = defineComponent({
+        props: { label: String },
+        render() {
+          return h("button", { class: "btn" }, [this.props.label]);
+        },
+      });
+      const parentEl = document.createElement("div");
+
+      mountDOM(h(Button, { label: "Save", class: "primary", title: "Save it" }), parentEl);
+
+      expect(parentEl.innerHTML).toBe('<button class="btn primary" title="Save it">Save</button>');
+    });
+
+    it("should warn about unknown props when there's no single root element", () => {
+      const List = defineComponent({
+        name: "List",
+        props: { items: Array },
+        render() {
+          return hFragment(this.props.items.map((item) => h("li", {}, [item])));
+        },
+      });
+
+      mountDOM(h(List, { items: ["a"], itemz: [] }), document.createElement("ul"));
+
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining('[props] <List>: Unknown props "itemz"')
+      );
+    });
+  });
+});
@@ -0,0 +1,253 @@
+import { describe, it, expect, vi } from "vitest";
+import { createApp } from "../app.js";
+import { defineComponent } from "../component.js";
+import { h, hMemo, hSlot } from "../h.js";
+import { computed, signal } from "../reactivity.js";
+import { renderToString } from "../render-to-string.js";
+import { nextTick } from "../scheduler.js";
+
+const ThemeLabel = defineComponent({
+  state() {
+    return { theme: this.inject("theme", "light") };
+  },
+  render() {
+    return h("span", {}, [this.state.theme]);
+  },
+});
+
+function defineProvider(value) {
+  return defineComponent({
+    state() {
+      this.provide("theme", value);
+      return {};
+    },
+    render() {
+      return h("section", {}, [hSlot()]);
+    },
+  });
+}
+
+function mount(vdom) {
+  return mountApp(() => vdom);
+}
+
+function mountApp(render) {
+  const App = defineComponent({ render });
+  const parentEl = document.createElement("div");
+  createApp(App).mount(parentEl);
+
+  return parentEl;
+}
+
+describe("component.js", () => {
+  describe("provide() and inject()", () => {
+    it("should inject the value provided by the closest ancestor", () => {
+      const Dark = defineProvider("dark");
+      const Contrast = defineProvider("contrast");
+      const parentEl = mount(h("div", {}, [h(Dark, {}, [h(ThemeLabel), h(Contrast, {}, [h(ThemeLabel)])])]));
+
+      expect(Array.from(parentEl.querySelectorAll("span"), (el) => el.textContent)).toEqual(["dark", "contrast"]);
+    });
+
+    it("should return the default value when nothing is provided", () => {
+      const parentEl = mount(h(ThemeLabel));
+
+      expect(parentEl.textContent).toBe("light");
+    });
+
+    it("should warn when nothing is provided and there is no default value", () => {
+      const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+      const Orphan = defineComponent({
+        name: "Orphan",
+        render() {
+          return h("p", {}, [String(this.inject("form"))]);
+        },
+      });
+
+      mount(h(Orphan));
+
+      expect(warn).toHaveBeenCalledWith('[inject] <Orphan>: Nothing provided for "form"');
+      warn.mockRestore();
+    });
+
+    it("should not share the provided values with the siblings of a subtree", () => {
+      const Dark = defineProvider("dark");
+      const parentEl = mount(h("div", {}, [h(Dark, {}, [h(ThemeLabel)]), h(ThemeLabel)]));
+
+      expect(parentEl.textContent).toBe("darklight");
+    });
+
+    it("should update the injecting components when a provided signal changes", async () => {
+      const key = Symbol("count");
+      const count = signal(1);
+      const Provider = defineComponent({
+        state() {
+          this.provide(key, computed(() => count.value * 2));
+          return {};
+        },
+        render() {
+          return h("div", {}, [hSlot()]);
+        },
+      });
+      const Consumer = defineComponent({
+        render() {
+          return h("p", {}, [String(this.inject(key).value)]);
+        },
+      });
+      const parentEl = mount(h(Provider, {}, [h(Consumer)]));
+
+      count.value = 5;
+      await nextTick();
+
+      expect(parentEl.textContent).toBe("10");
+    });
+
+    it("should resolve the provided values when rendering to a string", () => {
+      const Dark = defineProvider("dark");
+
+      expect(renderToString(h(Dark, {}, [h(ThemeLabel)]))).toBe("<section><span>dark</span></section>");
+    });
+  });
+
+  describe("skipping re-renders", () => {
+    function defineItem(options) {
+      const render = vi.fn(function () {
+        return h("li", {}, [`${this.props.todo.title} ${this.state.isEditing ? "(editing)" : ""}`]);
+      });
+      const Item = defineComponent({
+        props: { todo: Object, onRemove: Function },
+        state() {
+          return { isEditing: false };
+        },
+        render,
+        ...options,
+      });
+
+      return { Item, render };
+    }
+
+    function mountList(Item, todos, props = {}) {
+      return mountApp(() => h("ul", {}, todos.value.map((todo) => h(Item, { key: todo.id, todo, ...props }))));
+    }
+
+    it("should skip rendering when shouldUpdate returns false", async () => {
+      const shouldUpdate = vi.fn(function (nextProps) {
+        return nextProps.todo !== this.props.todo;
+      });
+      const { Item, render } = defineItem({ shouldUpdate });
+      const todos = signal([{ id: 1, title: "Walk" }, { id: 2, title: "Cook" }]);
+      const parentEl = mountList(Item, todos, { onRemove: () => {} });
+
+      todos.value = [todos.value[0], { id: 2, title: "Bake" }];
+      await nextTick();
+
+      expect(parentEl.textContent).toBe("Walk Bake ");
+      expect(render).toHaveBeenCalledTimes(3);
+      expect(shouldUpdate).toHaveBeenCalledWith(expect.objectContaining({ todo: todos.value[1] }), { isEditing: false });
+    });
+
+    it("should pass the next state to shouldUpdate", async () => {
+      const { Item, render } = defineItem({ shouldUpdate: (nextProps, nextState) => nextState.isEditing });
+      const parentEl = mount(h(Item, { todo: { id: 1, title: "Walk" } }));
+      const item = render.mock.instances[0];
+
+      item.updateState({ isEditing: false });
+      await nextTick();
+      expect(render).toHaveBeenCalledOnce();
+
+      item.updateState({ isEditing: true });
+      await nextTick();
+      expect(parentEl.textContent).toBe("Walk (editing)");
+    });
+
+    it("should shallow compare the props and the state of pure components", async () => {
+      const { Item, render } = defineItem({ pure: true });
+      const walk = { id: 1, title: "Walk" };
+      const todos = signal([walk]);
+      const parentEl = mountList(Item, todos);
+
+      todos.value = [walk];
+      await nextTick();
+      expect(render).toHaveBeenCalledOnce();
+
+      todos.value = [{ ...walk, title: "Run" }];
+      await nextTick();
+      expect(render).toHaveBeenCalledTimes(2);
+      expect(parentEl.textContent).toBe("Run ");
+
+      render.mock.instances[0].updateState({ isEditing: false });
+      await nextTick();
+      expect(render).toHaveBeenCalledTimes(2);
+    });
+
+    it("should re-render pure components when their slot content changes", async () => {
+      const render = vi.fn(() => h("p", {}, [hSlot()]));
+      const Box = defineComponent({ pure: true, render });
+      const label = signal("One");
+      const parentEl = mountApp(() => h("div", {}, [h(Box, {}, [label.value])]));
+
+      label.value = "Two";
+      await nextTick();
+
+      expect(parentEl.textContent).toBe("Two");
+    });
+
+    it("should reuse the memoized subtree while the dependencies are unchanged", async () => {
+      const renderStats = vi.fn((total) => h("p", {}, [`${total} tasks`]));
+      const total = signal(2);
+      const filter = signal("all");
+      const parentEl = mountApp(() =>
+        h("footer", {}, [h("span", {}, [filter.value]), hMemo([total.value], () => renderStats(total.value))])
+      );
+      const stats = parentEl.querySelector("p");
+
+      filter.value = "active";
+      await nextTick();
+      expect(renderStats).toHaveBeenCalledOnce();
+
+      total.value = 3;
+      await nextTick();
+      expect(renderStats).toHaveBeenCalledTimes(2);
+      expect(parentEl.querySelector("p")).toBe(stats);
+      expect(parentEl.textContent).toBe("active3 tasks");
+    });
+
+    it("should move keyed memoized subtrees with their items", async () => {
+      const todos = signal([{ id: 1, title: "Walk" }, { id: 2, title: "Cook" }]);
+      const parentEl = mountApp(() =>
+        h("ul", {}, todos.value.map((todo) => hMemo([todo], () => h("li", {}, [todo.title]), todo.id)))
+      );
+      const walk = parentEl.querySelector("li");
+
+      todos.value = [...todos.value].reverse();
+      await nextTick();
+
+      expect(parentEl.textContent).toBe("CookWalk");
+      expect(parentEl.querySelectorAll("li")[1]).toBe(walk);
+    });
+  });
+
+  describe("onBeforeUpdate() and onUpdated()", () => {
+    it("should run around each patch, reading the DOM before and after it", async () => {
+      const count = signal(1);
+      const calls = [];
+      const Counter = defineComponent({
+        onBeforeUpdate() {
+          calls.push(["before", this.firstElement.textContent, this.isMounted]);
+        },
+        onUpdated() {
+          calls.push(["after", this.firstElement.textContent]);
+        },
+        render() {
+          return h("p", {}, [String(count.value)]);
+        },
+      });
+      mount(h(Counter));
+
+      count.value = 2;
+      await nextTick();
+
+      expect(calls).toEqual([["before", "1", true], ["after", "2"]]);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createApp } from "../app.js";
+import { defineComponent } from "../component.js";
+import { ERROR_PHASES } from "../errors.js";
+import { h } from "../h.js";
+import { nextTick } from "../scheduler.js";
+
+describe("errors.js", () => {
+  let parentEl;
+
+  const Broken = defineComponent({
+    render() {
+      throw new Error("render failed");
+    },
+  });
+
+  const Clicker = defineComponent({
+    render() {
+      return h("button", {
+        on: {
+          click() {
+            throw new Error("click failed");
+          },
+        },
+      }, ["Click"]);
+    },
+  });
+
+  const ErrorBoundary = defineComponent({
+    state() {
+      return { error: null };
+    },
+    onErrorCaptured(error) {
+      this.updateState({ error });
+      return false;
+    },
+    render() {
+      const { error } = this.state;
+
+      if (error) {
+        return h("p", { class: "fallback" }, [`Something went wrong: ${error.message}`]);
+      }
+
+      return h("div", {}, [h(this.props.child)]);
+    },
+  });
+
+  beforeEach(() => {
+    parentEl = document.createElement("div");
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("should let a boundary render fallback content when a child fails to render", async () => {
+    createApp(ErrorBoundary, { child: Broken }).mount(parentEl);
+    await nextTick();
+
+    expect(parentEl.innerHTML).toBe('<p class="fallback">Something went wrong: render failed</p>');
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it("should propagate event handler errors up to the boundary", async () => {
+    const onErrorCaptured = vi.fn(() => false);
+    const Parent = defineComponent({
+      onErrorCaptured,
+      render() {
+        return h(Clicker);
+      },
+    });
+    createApp(Parent).mount(parentEl);
+
+    parentEl.querySelector("button").click();
+
+    expect(onErrorCaptured).toHaveBeenCalledWith(
+      expect.objectContaining({ message: "click failed" }),
+      expect.anything(),
+      ERROR_PHASES.EVENT_HANDLER
+    );
+  });
+
+  it("should let a boundary capture the errors of a child patched after updateState()", async () => {
+    const Failing = defineComponent({
+      state() {
+        throw new Error("state failed");
+      },
+      render() {
+        return h("div");
+      },
+    });
+    const Toggle = defineComponent({
+      state() {
+        return { isOpen: false };
+      },
+      onMounted() {
+        this.updateState({ isOpen: true });
+      },
+      render() {
+        return this.state.isOpen ? h(Failing) : h("span", {}, ["Closed"]);
+      },
+    });
+
+    createApp(ErrorBoundary, { child: Toggle }).mount(parentEl);
+    await nextTick();
+    await nextTick();
+
+    expect(parentEl.innerHTML).toBe('<p class="fallback">Something went wrong: state failed</p>');
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it("should pass unhandled errors to the app-level onError handler", async () => {
+    const onError = vi.fn();
+    const Failing = defineComponent({
+      async onMounted() {
+        throw new Error("fetch failed");
+      },
+      render() {
+        return h("div");
+      },
+    });
+
+    createApp(Failing, {}, { onError }).mount(parentEl);
+    await nextTick();
+
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({ message: "fetch failed" }),
+      expect.anything(),
+      ERROR_PHASES.MOUNTED
+    );
+  });
+
+  it("should keep propagating when onErrorCaptured doesn't return false", async () => {
+    const onError = vi.fn();
+    const onErrorCaptured = vi.fn();
+    const Parent = defineComponent({
+      onErrorCaptured,
+      render() {
+        return h("section", {}, [h(Broken)]);
+      },
+    });
+
+    createApp(Parent, {}, { onError }).mount(parentEl);
+
+    expect(onErrorCaptured).toHaveBeenCalledOnce();
+    expect(onError).toHaveBeenCalledOnce();
+    expect(parentEl.innerHTML).toBe("<section></section>");
+  });
+});
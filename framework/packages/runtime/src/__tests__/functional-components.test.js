@@ -0,0 +1,123 @@
+import { describe, it, expect, vi } from "vitest";
+import { createApp } from "../app.js";
+import { defineComponent } from "../component.js";
+import { DOM_TYPES, h, hFragment, hMemo } from "../h.js";
+import { signal } from "../reactivity.js";
+import { renderToString } from "../render-to-string.js";
+import { nextTick } from "../scheduler.js";
+
+function Badge({ label, tone = "info" }, { children }) {
+  return h("span", { class: `badge badge-${tone}` }, [label, ...children]);
+}
+
+function mount(render) {
+  const App = defineComponent({ render });
+  const parentEl = document.createElement("div");
+  createApp(App).mount(parentEl);
+
+  return parentEl;
+}
+
+describe("functional components", () => {
+  it("should create functional vnodes for plain functions", () => {
+    expect(h(Badge).type).toBe(DOM_TYPES.FUNCTIONAL);
+    expect(h(defineComponent({ render: () => h("p") })).type).toBe(DOM_TYPES.COMPONENT);
+  });
+
+  it("should mount the vdom returned by the function with the props and children", () => {
+    const parentEl = mount(() => h("div", {}, [h(Badge, { label: "New", tone: "success" }, ["!"])]));
+
+    expect(parentEl.innerHTML).toBe('<div><span class="badge badge-success">New!</span></div>');
+  });
+
+  it("should patch the rendered vdom when the props change", async () => {
+    const label = signal("One");
+    const parentEl = mount(() => h("div", {}, [h(Badge, { label: label.value })]));
+    const span = parentEl.querySelector("span");
+
+    label.value = "Two";
+    await nextTick();
+
+    expect(parentEl.textContent).toBe("Two");
+    expect(parentEl.querySelector("span")).toBe(span);
+  });
+
+  it("should skip rendering when the props are shallow equal", async () => {
+    const render = vi.fn(({ label }) => h("span", {}, [label]));
+    const count = signal(0);
+    const parentEl = mount(() => h("div", {}, [`${count.value}`, h(render, { label: "Same" })]));
+
+    count.value = 1;
+    await nextTick();
+
+    expect(parentEl.textContent).toBe("1Same");
+    expect(render).toHaveBeenCalledOnce();
+  });
+
+  it("should re-render when a signal read by the function changes", async () => {
+    const count = signal(0);
+    const Count = () => h("span", {}, [String(count.value)]);
+    const parentEl = mount(() => h("div", {}, [h(Count), hMemo([], () => h("b", {}, [String(count.value)]))]));
+
+    count.value = 5;
+    await nextTick();
+    expect(parentEl.innerHTML).toBe("<div><span>5</span><b>5</b></div>");
+
+    count.value = 6;
+    await nextTick();
+    expect(parentEl.innerHTML).toBe("<div><span>6</span><b>6</b></div>");
+  });
+
+  it("should emit events to the handlers passed by the parent", async () => {
+    const Toggle = ({ checked }, { emit }) =>
+      h("button", { on: { click: () => emit("change", !checked) } }, [checked ? "On" : "Off"]);
+    const Settings = defineComponent({
+      state() {
+        return { isOn: false };
+      },
+      render() {
+        return h(Toggle, { checked: this.state.isOn, on: { change: (isOn) => this.updateState({ isOn }) } });
+      },
+    });
+    const parentEl = document.createElement("div");
+    createApp(Settings).mount(parentEl);
+
+    parentEl.querySelector("button").click();
+    await nextTick();
+
+    expect(parentEl.textContent).toBe("On");
+  });
+
+  it("should move keyed functional components and render fragments", async () => {
+    const Pair = ({ name }) => hFragment([h("dt", {}, [name]), h("dd", {}, [name.toUpperCase()])]);
+    const names = signal(["a", "b"]);
+    const parentEl = mount(() => h("dl", {}, names.value.map((name) => h(Pair, { key: name, name }))));
+
+    names.value = ["b", "a"];
+    await nextTick();
+
+    expect(parentEl.innerHTML).toBe("<dl><dt>b</dt><dd>B</dd><dt>a</dt><dd>A</dd></dl>");
+  });
+
+  it("should report render errors to the host component", () => {
+    const onErrorCaptured = vi.fn(() => false);
+    const Broken = () => {
+      throw new Error("Boom");
+    };
+    const Boundary = defineComponent({
+      onErrorCaptured,
+      render() {
+        return h("section", {}, [h(defineComponent({ render: () => h("div", {}, [h(Broken)]) }))]);
+      },
+    });
+    const parentEl = document.createElement("div");
+    createApp(Boundary).mount(parentEl);
+
+    expect(onErrorCaptured).toHaveBeenCalledWith(new Error("Boom"), expect.anything(), "render");
+    expect(parentEl.innerHTML).toBe("<section><div></div></section>");
+  });
+
+  it("should render functional components to a string", () => {
+    expect(renderToString(h(Badge, { label: "SSR" }))).toBe('<span class="badge badge-info">SSR</span>');
+  });
+});
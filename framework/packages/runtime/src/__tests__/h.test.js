@@ -1,5 +1,5 @@
 import { describe, it, expect } from "vitest";
-import { h, hString, hFragment, DOM_TYPES } from "../h.js";
+import { h, hString, hFragment, hPortal, DOM_TYPES } from "../h.js";
 
 describe("h.js", () => {
   describe("h()", () => {
@@ -127,4 +127,15 @@ describe("h.js", () => {
       expect(fragmentVNode.children).toEqual([]);
     });
   });
+
+  describe("hPortal()", () => {
+    it("should create a virtual portal node", () => {
+      const portalVNode = hPortal("#modals", ["Hello", null, h("p")]);
+      expect(portalVNode).toEqual({
+        type: DOM_TYPES.PORTAL,
+        target: "#modals",
+        children: [{ type: DOM_TYPES.TEXT, value: "Hello" }, h("p")],
+      });
+    });
+  });
 });
@@ -0,0 +1,159 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createApp } from "../app.js";
+import { defineComponent } from "../component.js";
+import { h, hFragment } from "../h.js";
+import { hydrateDOM } from "../hydrate-dom.js";
+import { renderToString } from "../render-to-string.js";
+import { MemoryRouter } from "../router.js";
+import { RouterOutlet } from "../router-components.js";
+import { nextTick } from "../scheduler.js";
+
+describe("hydrate-dom.js", () => {
+  let parentEl;
+
+  beforeEach(() => {
+    parentEl = document.createElement("div");
+    document.body.append(parentEl);
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    parentEl.remove();
+    vi.restoreAllMocks();
+  });
+
+  describe("hydrateDOM()", () => {
+    it("should adopt existing nodes instead of creating new ones", () => {
+      const vdom = h("ul", { class: "list" }, [h("li", {}, ["One"]), h("li", {}, ["Two"])]);
+      parentEl.innerHTML = renderToString(vdom);
+      const existingList = parentEl.firstChild;
+
+      hydrateDOM(vdom, parentEl);
+
+      expect(vdom.el).toBe(existingList);
+      expect(vdom.children[1].el).toBe(existingList.childNodes[1]);
+      expect(parentEl.innerHTML).toBe('<ul class="list"><li>One</li><li>Two</li></ul>');
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    it("should split adjacent text nodes merged by the HTML parser", () => {
+      const vdom = hFragment([h("strong", {}, ["2"]), " tasks", " left"]);
+      parentEl.innerHTML = renderToString(vdom);
+
+      hydrateDOM(vdom, parentEl);
+
+      expect(parentEl.childNodes).toHaveLength(3);
+      expect(vdom.children[2].el.nodeValue).toBe(" left");
+    });
+
+    it("should adopt the nodes rendered by functional components", () => {
+      const Item = ({ label }) => h("li", {}, [label]);
+      const vdom = h("ul", {}, [h(Item, { label: "One" }), h(Item, { label: "Two" })]);
+      parentEl.innerHTML = renderToString(vdom);
+      const existingItem = parentEl.querySelector("li");
+
+      hydrateDOM(vdom, parentEl);
+
+      expect(vdom.children[0].el).toBe(existingItem);
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    it("should wire event listeners to the existing elements", () => {
+      const onClick = vi.fn();
+      const vdom = h("button", { on: { click: onClick } }, ["Go"]);
+      parentEl.innerHTML = renderToString(vdom);
+
+      hydrateDOM(vdom, parentEl);
+      parentEl.querySelector("button").click();
+
+      expect(onClick).toHaveBeenCalledOnce();
+    });
+
+    it("should report and repair mismatched markup", () => {
+      const vdom = h("div", {}, [h("p", {}, ["Expected"])]);
+      parentEl.innerHTML = "<div><span>Server</span><b>extra</b></div>";
+
+      hydrateDOM(vdom, parentEl);
+
+      expect(parentEl.innerHTML).toBe("<div><p>Expected</p></div>");
+      expect(console.warn).toHaveBeenCalledTimes(2);
+    });
+
+    it("should report and repair mismatched attributes, classes and styles", () => {
+      const vdom = h("a", { href: "/about", class: ["link", "active"], style: { color: "red" } }, ["About"]);
+      parentEl.innerHTML = '<a href="/" class="link" style="color: blue" title="Home">About</a>';
+      const existingLink = parentEl.firstChild;
+
+      hydrateDOM(vdom, parentEl);
+
+      expect(vdom.el).toBe(existingLink);
+      expect(existingLink.getAttribute("href")).toBe("/about");
+      expect(existingLink.className).toBe("link active");
+      expect(existingLink.style.color).toBe("red");
+      expect(existingLink.hasAttribute("title")).toBe(false);
+      expect(console.warn).toHaveBeenCalledTimes(4);
+      expect(console.warn).toHaveBeenCalledWith('[hydration] Mismatch inside <div>: expected href "/about" on <a>, found "/"');
+    });
+
+    it("should accept classes and styles written in a different order", () => {
+      const vdom = h("p", { class: "note muted", style: { color: "red", marginTop: "4px" } }, ["Hi"]);
+      parentEl.innerHTML = '<p class="muted  note" style="margin-top:4px;color:red">Hi</p>';
+
+      hydrateDOM(vdom, parentEl);
+
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("createApp().hydrate()", () => {
+    it("should instantiate components on the server markup and call onMounted", async () => {
+      const onMounted = vi.fn();
+      const Counter = defineComponent({
+        state() {
+          return { count: 0 };
+        },
+        onMounted,
+        render() {
+          return h("button", { on: { click: () => this.updateState({ count: this.state.count + 1 }) } }, [
+            `Clicked ${this.state.count} times`,
+          ]);
+        },
+      });
+      parentEl.innerHTML = renderToString(Counter);
+      const button = parentEl.querySelector("button");
+
+      createApp(Counter).hydrate(parentEl);
+      await nextTick();
+      button.click();
+      await nextTick();
+
+      expect(onMounted).toHaveBeenCalledOnce();
+      expect(parentEl.querySelector("button")).toBe(button);
+      expect(button.textContent).toBe("Clicked 1 times");
+    });
+
+    it("should wait for the initial navigation and adopt the routed markup", async () => {
+      const Home = defineComponent({
+        render() {
+          return h("p", {}, ["home"]);
+        },
+      });
+      const App = defineComponent({
+        render() {
+          return h("main", {}, [h(RouterOutlet)]);
+        },
+      });
+      const routes = [{ path: "/", component: Home }];
+      const serverRouter = new MemoryRouter(routes);
+      await serverRouter.init();
+      parentEl.innerHTML = renderToString(App, {}, { router: serverRouter });
+      const paragraph = parentEl.querySelector("p");
+
+      await createApp(App, {}, { router: new MemoryRouter(routes) }).hydrate(parentEl);
+      await nextTick();
+
+      expect(parentEl.querySelector("p")).toBe(paragraph);
+      expect(console.warn).not.toHaveBeenCalledWith(expect.stringContaining("[hydration]"));
+    });
+  });
+});
@@ -0,0 +1,242 @@
+import { describe, it, expect, vi } from "vitest";
+import { createApp } from "../app.js";
+import { defineComponent } from "../component.js";
+import { h, hPortal } from "../h.js";
+import { KeepAlive } from "../keep-alive.js";
+import { signal } from "../reactivity.js";
+import { RouterOutlet } from "../router-components.js";
+import { MemoryRouter } from "../router.js";
+import { nextTick } from "../scheduler.js";
+
+function defineCounter(name, hooks = {}) {
+  return defineComponent({
+    name,
+    state() {
+      return { count: 0 };
+    },
+    render() {
+      return h("button", { on: { click: () => this.updateState({ count: this.state.count + 1 }) } }, [
+        `${name}: ${this.state.count}`,
+      ]);
+    },
+    ...hooks,
+  });
+}
+
+function mountSwitcher(pages, keepAliveProps = {}) {
+  const current = signal(pages[0]);
+  const App = defineComponent({
+    render() {
+      return h("div", {}, [h(KeepAlive, keepAliveProps, [h(current.value)])]);
+    },
+  });
+  const parentEl = document.createElement("div");
+  const app = createApp(App);
+  app.mount(parentEl);
+
+  return { parentEl, app, show: (page) => (current.value = page) };
+}
+
+describe("keep-alive.js", () => {
+  it("should keep the state and DOM of switched out components", async () => {
+    const Todos = defineCounter("Todos");
+    const About = defineCounter("About");
+    const { parentEl, show } = mountSwitcher([Todos, About]);
+
+    const todosButton = parentEl.querySelector("button");
+    todosButton.click();
+    await nextTick();
+
+    show(About);
+    await nextTick();
+    expect(parentEl.textContent).toBe("About: 0");
+
+    show(Todos);
+    await nextTick();
+    expect(parentEl.textContent).toBe("Todos: 1");
+    expect(parentEl.querySelector("button")).toBe(todosButton);
+  });
+
+  it("should call onActivated and onDeactivated instead of the mount hooks", async () => {
+    const calls = [];
+    const Todos = defineCounter("Todos", {
+      onMounted: () => calls.push("mounted"),
+      onUnmounted: () => calls.push("unmounted"),
+      onActivated: () => calls.push("activated"),
+      onDeactivated: () => calls.push("deactivated"),
+    });
+    const About = defineCounter("About");
+    const { show } = mountSwitcher([Todos, About]);
+    await nextTick();
+
+    show(About);
+    await nextTick();
+    show(Todos);
+    await nextTick();
+
+    expect(calls).toEqual(["mounted", "activated", "deactivated", "activated"]);
+  });
+
+  it("should call the hooks of the components nested in a cached component", async () => {
+    const onActivated = vi.fn();
+    const onDeactivated = vi.fn();
+    const Child = defineComponent({
+      onActivated,
+      onDeactivated,
+      render() {
+        return h("p", {}, ["child"]);
+      },
+    });
+    const Parent = defineComponent({
+      name: "Parent",
+      render() {
+        return h("section", {}, [h(Child)]);
+      },
+    });
+    const { show } = mountSwitcher([Parent, defineCounter("About")]);
+    await nextTick();
+
+    show(defineCounter("Other"));
+    await nextTick();
+
+    expect(onActivated).toHaveBeenCalledOnce();
+    expect(onDeactivated).toHaveBeenCalledOnce();
+  });
+
+  it("should apply the updates made while a component was deactivated", async () => {
+    const message = signal("hello");
+    const Message = defineComponent({
+      name: "Message",
+      render() {
+        return h("p", {}, [message.value]);
+      },
+    });
+    const About = defineCounter("About");
+    const { parentEl, show } = mountSwitcher([Message, About]);
+
+    show(About);
+    await nextTick();
+    message.value = "bye";
+    await nextTick();
+    show(Message);
+    await nextTick();
+
+    expect(parentEl.textContent).toBe("bye");
+  });
+
+  it("should take the portal content of a cached component out of the target", async () => {
+    const message = signal("hello");
+    const modalsEl = document.createElement("div");
+    modalsEl.append("Existing");
+    const Dialog = defineComponent({
+      render() {
+        return hPortal(modalsEl, [h("dialog", {}, [message.value])]);
+      },
+    });
+    const Modal = defineComponent({
+      name: "Modal",
+      render() {
+        return h("section", {}, [h(Dialog)]);
+      },
+    });
+    const { show } = mountSwitcher([Modal, defineCounter("About")]);
+    expect(modalsEl.innerHTML).toBe("Existing<dialog>hello</dialog>");
+
+    show(defineCounter("About"));
+    await nextTick();
+    expect(modalsEl.innerHTML).toBe("Existing");
+
+    message.value = "bye";
+    await nextTick();
+    show(Modal);
+    await nextTick();
+    expect(modalsEl.innerHTML).toBe("Existing<dialog>bye</dialog>");
+  });
+
+  it("should only cache the components matching include and exclude", async () => {
+    const onUnmounted = vi.fn();
+    const Todos = defineCounter("Todos");
+    const About = defineCounter("About", { onUnmounted });
+    const { parentEl, show } = mountSwitcher([Todos, About], { include: "Todos,Settings", exclude: /^Set/ });
+
+    parentEl.querySelector("button").click();
+    await nextTick();
+    show(About);
+    await nextTick();
+    parentEl.querySelector("button").click();
+    await nextTick();
+    show(Todos);
+    await nextTick();
+
+    expect(parentEl.textContent).toBe("Todos: 1");
+    expect(onUnmounted).toHaveBeenCalledOnce();
+
+    show(About);
+    await nextTick();
+    expect(parentEl.textContent).toBe("About: 0");
+  });
+
+  it("should evict the least recently used component beyond max", async () => {
+    const onUnmounted = vi.fn();
+    const First = defineCounter("First", { onUnmounted });
+    const Second = defineCounter("Second");
+    const Third = defineCounter("Third");
+    const { parentEl, show } = mountSwitcher([First, Second], { max: 1 });
+
+    parentEl.querySelector("button").click();
+    await nextTick();
+    show(Second);
+    await nextTick();
+    show(Third);
+    await nextTick();
+    show(First);
+    await nextTick();
+
+    expect(onUnmounted).toHaveBeenCalledOnce();
+    expect(parentEl.textContent).toBe("First: 0");
+  });
+
+  it("should unmount the cached components when it is unmounted", async () => {
+    const onUnmounted = vi.fn();
+    const Todos = defineCounter("Todos", { onUnmounted });
+    const { app, show } = mountSwitcher([Todos, defineCounter("About")]);
+
+    show(defineCounter("Other"));
+    await nextTick();
+    app.unmount();
+    await nextTick();
+
+    expect(onUnmounted).toHaveBeenCalledOnce();
+  });
+
+  it("should keep route components alive with RouterOutlet's keepAlive prop", async () => {
+    const Todos = defineComponent({
+      name: "Todos",
+      render() {
+        return h("input", { type: "text" });
+      },
+    });
+    const About = defineCounter("About");
+    const router = new MemoryRouter([
+      { path: "/", component: Todos },
+      { path: "/about", component: About },
+    ]);
+    const App = defineComponent({
+      render() {
+        return h(RouterOutlet, { keepAlive: { include: ["Todos"] } });
+      },
+    });
+    const parentEl = document.createElement("div");
+    createApp(App, {}, { router }).mount(parentEl);
+    await router.init();
+    await nextTick();
+
+    parentEl.querySelector("input").value = "Walk the dog";
+    await router.navigateTo("/about");
+    await nextTick();
+    await router.navigateTo("/");
+    await nextTick();
+
+    expect(parentEl.querySelector("input").value).toBe("Walk the dog");
+  });
+});
@@ -0,0 +1,59 @@
+// @vitest-environment node
+import { describe, it, expect } from "vitest";
+import { defineComponent } from "../component.js";
+import { h } from "../h.js";
+import { MemoryRouter } from "../router.js";
+
+const Home = defineComponent({
+  render() {
+    return h("h1", {}, ["Home"]);
+  },
+});
+
+const About = defineComponent({
+  render() {
+    return h("h1", {}, ["About"]);
+  },
+});
+
+describe("MemoryRouter without a DOM", () => {
+  it("should navigate without touching document", async () => {
+    const router = new MemoryRouter([
+      { path: "/", component: Home, title: "Home" },
+      { path: "/about", component: About, title: "About" },
+    ]);
+    await router.init();
+
+    expect(await router.navigateTo("/about")).toBe(true);
+    await Promise.resolve();
+
+    expect(router.matchedRoute.component).toBe(About);
+    expect(typeof document).toBe("undefined");
+  });
+
+  it("should skip the focus reset when it is enabled but there is no document", async () => {
+    const router = new MemoryRouter([
+      { path: "/", component: Home },
+      { path: "/about", component: About, title: "About" },
+    ], { focusReset: true });
+    await router.init();
+
+    expect(await router.navigateTo("/about")).toBe(true);
+    router.back();
+    await new Promise((resolve) => setTimeout(resolve));
+
+    expect(router.currentLocation.path).toBe("/");
+  });
+
+  it("should accept a scrollBehavior without a window", async () => {
+    const scrollBehavior = () => ({ top: 0 });
+    const router = new MemoryRouter([
+      { path: "/", component: Home },
+      { path: "/about", component: About },
+    ], { scrollBehavior });
+    await router.init();
+
+    expect(await router.navigateTo("/about")).toBe(true);
+    expect(typeof window).toBe("undefined");
+  });
+});
@@ -0,0 +1,204 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { createApp } from "../app.js";
+import { defineComponent } from "../component.js";
+import { h, hSlot } from "../h.js";
+import { renderToString } from "../render-to-string.js";
+import { nextTick } from "../scheduler.js";
+
+function mount(state, render) {
+  let component;
+  const Form = defineComponent({
+    state() {
+      component = this;
+      return state;
+    },
+    render,
+  });
+  const parentEl = document.createElement("div");
+  document.body.append(parentEl);
+  createApp(Form).mount(parentEl);
+
+  return { parentEl, component };
+}
+
+function type(el, value, eventName = "input") {
+  el.value = value;
+  el.dispatchEvent(new Event(eventName));
+}
+
+describe("model.js", () => {
+  afterEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  it("should bind a text input to a state key", async () => {
+    const { parentEl, component } = mount({ title: "Walk" }, () => h("input", { model: "title" }));
+    const input = parentEl.querySelector("input");
+
+    expect(input.value).toBe("Walk");
+    expect(parentEl.innerHTML).toBe("<input>");
+
+    type(input, "Walk the dog");
+    expect(component.state.title).toBe("Walk the dog");
+
+    component.updateState({ title: "" });
+    await nextTick();
+    expect(input.value).toBe("");
+  });
+
+  it("should apply the lazy, trim and number modifiers", () => {
+    const { parentEl, component } = mount({ title: "", count: 0 }, () =>
+      h("form", {}, [
+        h("input", { id: "title", model: { key: "title", lazy: true, trim: true } }),
+        h("input", { id: "count", model: { key: "count", number: true } }),
+      ])
+    );
+    const title = parentEl.querySelector("#title");
+
+    type(title, "  Walk  ");
+    expect(component.state.title).toBe("");
+
+    title.dispatchEvent(new Event("change"));
+    expect(component.state.title).toBe("Walk");
+
+    type(parentEl.querySelector("#count"), "42");
+    expect(component.state.count).toBe(42);
+  });
+
+  it("should keep the caret in place when the state is patched", async () => {
+    const { parentEl, component } = mount({ title: "" }, () => h("input", { model: "title" }));
+    const input = parentEl.querySelector("input");
+    input.focus();
+
+    type(input, "walk");
+    input.setSelectionRange(2, 2);
+    component.updateState({ title: "WALK" });
+    await nextTick();
+
+    expect(input.value).toBe("WALK");
+    expect(input.selectionStart).toBe(2);
+  });
+
+  it("should bind checkboxes to booleans and arrays", () => {
+    const { parentEl, component } = mount({ done: true, tags: ["home"] }, () =>
+      h("form", {}, [
+        h("input", { id: "done", type: "checkbox", model: "done" }),
+        h("input", { id: "home", type: "checkbox", value: "home", model: "tags" }),
+        h("input", { id: "work", type: "checkbox", value: "work", model: "tags" }),
+      ])
+    );
+
+    expect(parentEl.querySelector("#done").checked).toBe(true);
+    expect(parentEl.querySelector("#home").checked).toBe(true);
+
+    parentEl.querySelector("#done").click();
+    parentEl.querySelector("#work").click();
+    parentEl.querySelector("#home").click();
+
+    expect(component.state.done).toBe(false);
+    expect(component.state.tags).toEqual(["work"]);
+  });
+
+  it("should bind radios and keep the type of their value", async () => {
+    const { parentEl, component } = mount({ priority: 1 }, () =>
+      h("form", {}, [1, 2].map((priority) => h("input", { type: "radio", value: priority, model: "priority" })))
+    );
+    const [low, high] = parentEl.querySelectorAll("input");
+    expect(low.checked).toBe(true);
+
+    high.click();
+    expect(component.state.priority).toBe(2);
+
+    component.updateState({ priority: 1 });
+    await nextTick();
+    expect(low.checked).toBe(true);
+  });
+
+  it("should bind single and multiple selects", () => {
+    const options = () => ["a", "b", "c"].map((value) => h("option", { value }, [value]));
+    const { parentEl, component } = mount({ one: "b", many: ["a", "c"] }, () =>
+      h("form", {}, [
+        h("select", { id: "one", model: "one" }, options()),
+        h("select", { id: "many", multiple: true, model: "many" }, options()),
+      ])
+    );
+    const one = parentEl.querySelector("#one");
+    const many = parentEl.querySelector("#many");
+
+    expect(one.value).toBe("b");
+    expect(Array.from(many.selectedOptions, (option) => option.value)).toEqual(["a", "c"]);
+
+    type(one, "c", "change");
+    many.options[1].selected = true;
+    many.dispatchEvent(new Event("change"));
+
+    expect(component.state.one).toBe("c");
+    expect(component.state.many).toEqual(["a", "b", "c"]);
+  });
+
+  it("should pass modelValue to components and update the state on update:modelValue", async () => {
+    let input;
+    const TitleInput = defineComponent({
+      props: { modelValue: String },
+      state() {
+        input = this;
+        return {};
+      },
+      render() {
+        return h("span", {}, [this.props.modelValue]);
+      },
+    });
+    const { parentEl, component } = mount({ title: "Walk" }, () => h(TitleInput, { model: { key: "title", trim: true } }));
+
+    input.emit("update:modelValue", " Run ");
+    await nextTick();
+
+    expect(component.state.title).toBe("Run");
+    expect(parentEl.textContent).toBe("Run");
+  });
+
+  it("should bind slot content to the state of the component declaring it", () => {
+    const Card = defineComponent({
+      state() {
+        return {};
+      },
+      render() {
+        return h("section", {}, [hSlot()]);
+      },
+    });
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const { parentEl, component } = mount({ title: "Walk" }, () => h(Card, {}, [h("input", { model: "title" })]));
+    const input = parentEl.querySelector("input");
+
+    expect(input.value).toBe("Walk");
+
+    type(input, "Run");
+    expect(component.state.title).toBe("Run");
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it("should warn when the key is not in the state", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    mount({}, () => h("input", { model: "title" }));
+
+    expect(warn).toHaveBeenCalledWith('[model] <Component>: "title" is not in the state');
+    warn.mockRestore();
+  });
+
+  it("should render the bound values to a string", () => {
+    const Form = defineComponent({
+      state() {
+        return { title: "Walk", done: true };
+      },
+      render() {
+        return h("form", {}, [
+          h("input", { model: "title" }),
+          h("input", { type: "checkbox", model: "done" }),
+        ]);
+      },
+    });
+
+    expect(renderToString(Form)).toBe('<form><input value="Walk"><input type="checkbox" checked></form>');
+  });
+});
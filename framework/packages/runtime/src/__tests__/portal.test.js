@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { createApp } from "../app.js";
+import { defineComponent } from "../component.js";
+import { h, hPortal } from "../h.js";
+import { signal } from "../reactivity.js";
+import { renderToString } from "../render-to-string.js";
+import { nextTick } from "../scheduler.js";
+
+describe("portals", () => {
+  let parentEl;
+  let modalsEl;
+
+  beforeEach(() => {
+    parentEl = document.createElement("div");
+    modalsEl = document.createElement("div");
+    modalsEl.id = "modals";
+    modalsEl.append("Existing");
+    document.body.append(parentEl, modalsEl);
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  it("should mount the children into the target and leave an anchor in place", () => {
+    const App = defineComponent({
+      render() {
+        return h("main", {}, [h("p", {}, ["before"]), hPortal("#modals", [h("dialog", {}, ["Hi"])]), h("p", {}, ["after"])]);
+      },
+    });
+    createApp(App).mount(parentEl);
+
+    expect(parentEl.innerHTML).toBe("<main><p>before</p><p>after</p></main>");
+    expect(modalsEl.innerHTML).toBe("Existing<dialog>Hi</dialog>");
+  });
+
+  it("should bind event handlers to the owning component and pass the app context down", async () => {
+    const Message = defineComponent({
+      render() {
+        return h("span", {}, [this.appContext.greeting]);
+      },
+    });
+    const App = defineComponent({
+      state() {
+        return { count: 0 };
+      },
+      render() {
+        return h("div", {}, [
+          `Clicked ${this.state.count} times`,
+          hPortal(modalsEl, [
+            h("button", { on: { click() { this.updateState({ count: this.state.count + 1 }); } } }, [h(Message)]),
+          ]),
+        ]);
+      },
+    });
+    createApp(App, { context: { greeting: "Hello" } }).mount(parentEl);
+
+    modalsEl.querySelector("button").click();
+    await nextTick();
+
+    expect(modalsEl.querySelector("button").textContent).toBe("Hello");
+    expect(parentEl.textContent).toBe("Clicked 1 times");
+  });
+
+  it("should patch the children inside the target", async () => {
+    const items = signal(["a", "b"]);
+    const App = defineComponent({
+      render() {
+        return h("div", {}, [
+          hPortal("#modals", items.value.map((item) => h("p", { key: item }, [item]))),
+        ]);
+      },
+    });
+    createApp(App).mount(parentEl);
+
+    items.value = ["c", "b", "a"];
+    await nextTick();
+
+    expect(modalsEl.textContent).toBe("Existingcba");
+  });
+
+  it("should move the children when the target changes and remove them on destroy", async () => {
+    const target = signal("#modals");
+    const isOpen = signal(true);
+    const otherEl = document.createElement("aside");
+    otherEl.id = "other";
+    document.body.append(otherEl);
+    const App = defineComponent({
+      render() {
+        return h("div", {}, [isOpen.value ? hPortal(target.value, [h("dialog")]) : null]);
+      },
+    });
+    createApp(App).mount(parentEl);
+
+    target.value = "#other";
+    await nextTick();
+    expect(modalsEl.innerHTML).toBe("Existing");
+    expect(otherEl.innerHTML).toBe("<dialog></dialog>");
+
+    isOpen.value = false;
+    await nextTick();
+    expect(otherEl.childNodes.length).toBe(0);
+    expect(parentEl.innerHTML).toBe("<div></div>");
+  });
+
+  it("should throw when the target doesn't exist", () => {
+    const App = defineComponent({
+      render() {
+        return hPortal("#missing", ["Hi"]);
+      },
+    });
+
+    expect(() => createApp(App).mount(parentEl)).toThrow("Can't find the portal target: #missing");
+  });
+
+  it("should render nothing in place on the server", () => {
+    expect(renderToString(h("div", {}, [hPortal("body", [h("dialog")])]))).toBe("<div></div>");
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect, vi } from "vitest";
+import { defineComponent } from "../component.js";
+import { h } from "../h.js";
+import { mountDOM } from "../mount-dom.js";
+import { destroyDOM } from "../destroy-dom.js";
+import { computed, effect, signal, watch } from "../reactivity.js";
+import { nextTick } from "../scheduler.js";
+
+describe("reactivity.js", () => {
+  describe("signal()", () => {
+    it("should re-run effects that read it when it changes", () => {
+      const count = signal(1);
+      const values = [];
+
+      effect(() => values.push(count.value));
+      count.value = 2;
+      count.value = 2;
+
+      expect(values).toEqual([1, 2]);
+    });
+
+    it("should stop notifying a stopped effect", () => {
+      const count = signal(1);
+      const spy = vi.fn(() => count.value);
+
+      const stop = effect(spy);
+      stop();
+      count.value = 2;
+
+      expect(spy).toHaveBeenCalledOnce();
+    });
+  });
+
+  describe("computed()", () => {
+    it("should cache its value until a dependency changes", () => {
+      const todos = signal([{ done: true }, { done: false }]);
+      const getter = vi.fn(() => todos.value.filter((todo) => !todo.done));
+      const active = computed(getter);
+
+      expect(active.value).toHaveLength(1);
+      expect(active.value).toHaveLength(1);
+      expect(getter).toHaveBeenCalledOnce();
+
+      todos.value = [...todos.value, { done: false }];
+
+      expect(active.value).toHaveLength(2);
+      expect(getter).toHaveBeenCalledTimes(2);
+    });
+
+    it("should notify effects depending on it", () => {
+      const count = signal(1);
+      const double = computed(() => count.value * 2);
+      const values = [];
+
+      effect(() => values.push(double.value));
+      count.value = 5;
+
+      expect(values).toEqual([2, 10]);
+    });
+  });
+
+  describe("watch()", () => {
+    it("should call the callback with the new and old values", () => {
+      const filter = signal("all");
+      const callback = vi.fn();
+
+      watch(filter, callback);
+      filter.value = "active";
+
+      expect(callback).toHaveBeenCalledWith("active", "all");
+    });
+
+    it("should watch getters and call immediately when asked", () => {
+      const count = signal(1);
+      const callback = vi.fn();
+
+      watch(() => count.value > 2, callback, { immediate: true });
+      count.value = 2;
+      count.value = 3;
+
+      expect(callback.mock.calls).toEqual([[false, undefined], [true, false]]);
+    });
+  });
+
+  describe("components", () => {
+    it("should re-render components that read a signal in render()", async () => {
+      const count = signal(0);
+      const Counter = defineComponent({
+        render() {
+          return h("span", {}, [`${count.value}`]);
+        },
+      });
+      const parentEl = document.createElement("div");
+      mountDOM(h(Counter), parentEl);
+
+      count.value = 1;
+      count.value = 2;
+      await nextTick();
+
+      expect(parentEl.textContent).toBe("2");
+    });
+
+    it("should tear down render subscriptions and watchers on unmount", async () => {
+      const count = signal(0);
+      const render = vi.fn(() => h("span", {}, [`${count.value}`]));
+      const onChange = vi.fn();
+      const Counter = defineComponent({
+        state() {
+          watch(count, onChange);
+          return { double: computed(() => count.value * 2) };
+        },
+        render,
+      });
+      const vdom = h(Counter);
+      mountDOM(vdom, document.createElement("div"));
+
+      destroyDOM(vdom);
+      count.value = 1;
+      await nextTick();
+
+      expect(render).toHaveBeenCalledOnce();
+      expect(onChange).not.toHaveBeenCalled();
+    });
+  });
+});
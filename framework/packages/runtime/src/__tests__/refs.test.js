@@ -0,0 +1,166 @@
+import { describe, it, expect, vi } from "vitest";
+import { createApp } from "../app.js";
+import { defineComponent } from "../component.js";
+import { h, hSlot } from "../h.js";
+import { signal } from "../reactivity.js";
+import { nextTick } from "../scheduler.js";
+
+function mount(Component) {
+  const parentEl = document.createElement("div");
+  const app = createApp(Component);
+  app.mount(parentEl);
+
+  return { parentEl, app };
+}
+
+describe("refs.js", () => {
+  it("should populate this.refs with elements and component instances on mount", () => {
+    const Child = defineComponent({
+      render() {
+        return h("p", {}, ["child"]);
+      },
+      greet() {
+        return "Hello";
+      },
+    });
+    let parent;
+    const Parent = defineComponent({
+      state() {
+        parent = this;
+        return {};
+      },
+      render() {
+        return h("form", {}, [h("input", { ref: "title" }), h(Child, { ref: "child" })]);
+      },
+    });
+    const { parentEl } = mount(Parent);
+
+    expect(parent.refs.title).toBe(parentEl.querySelector("input"));
+    expect(parent.refs.child.greet()).toBe("Hello");
+  });
+
+  it("should not render the ref as an attribute", () => {
+    const Form = defineComponent({
+      render() {
+        return h("input", { ref: "title" });
+      },
+    });
+    const { parentEl } = mount(Form);
+
+    expect(parentEl.innerHTML).toBe("<input>");
+  });
+
+  it("should update the refs on patch and clear them on destroy", async () => {
+    const isEditing = signal(false);
+    let item;
+    const Item = defineComponent({
+      state() {
+        item = this;
+        return {};
+      },
+      render() {
+        return isEditing.value
+          ? h("li", {}, [h("input", { ref: "field" })])
+          : h("li", {}, [h("label", { ref: "field" }, ["Walk"])]);
+      },
+    });
+    const { parentEl } = mount(Item);
+    expect(item.refs.field.tagName).toBe("LABEL");
+
+    isEditing.value = true;
+    await nextTick();
+    expect(item.refs.field).toBe(parentEl.querySelector("input"));
+
+    isEditing.value = false;
+    await nextTick();
+    expect(item.refs.field.tagName).toBe("LABEL");
+  });
+
+  it("should move a ref when its name changes", async () => {
+    const name = signal("first");
+    let list;
+    const List = defineComponent({
+      state() {
+        list = this;
+        return {};
+      },
+      render() {
+        return h("ul", {}, [h("li", { ref: name.value })]);
+      },
+    });
+    const { parentEl } = mount(List);
+
+    name.value = "second";
+    await nextTick();
+
+    expect(list.refs).toEqual({ second: parentEl.querySelector("li") });
+  });
+
+  it("should store refs of slot content on the component declaring them", () => {
+    let card;
+    const Card = defineComponent({
+      state() {
+        card = this;
+        return {};
+      },
+      render() {
+        return h("section", {}, [hSlot(), hSlot("footer", { label: "Save" })]);
+      },
+    });
+    let page;
+    const Page = defineComponent({
+      state() {
+        page = this;
+        return {};
+      },
+      render() {
+        return h(Card, {}, {
+          default: [h("input", { ref: "title" })],
+          footer: ({ label }) => h("button", { ref: "save" }, [label]),
+        });
+      },
+    });
+    const { parentEl } = mount(Page);
+
+    expect(page.refs.title).toBe(parentEl.querySelector("input"));
+    expect(page.refs.save).toBe(parentEl.querySelector("button"));
+    expect(card.refs).toEqual({});
+  });
+
+  it("should call callback refs with the element, and with null when it is destroyed", async () => {
+    const ref = vi.fn();
+    const isVisible = signal(true);
+    const Panel = defineComponent({
+      render() {
+        return h("div", {}, [isVisible.value ? h("p", { ref }) : null]);
+      },
+    });
+    const { parentEl } = mount(Panel);
+    const paragraph = parentEl.querySelector("p");
+
+    isVisible.value = false;
+    await nextTick();
+
+    expect(ref.mock.calls).toEqual([[paragraph], [null]]);
+  });
+
+  it("should clear the component refs when the app is unmounted", () => {
+    const ref = vi.fn();
+    const Child = defineComponent({
+      render() {
+        return h("p");
+      },
+    });
+    const Parent = defineComponent({
+      render() {
+        return h("div", {}, [h(Child, { ref })]);
+      },
+    });
+    const { app } = mount(Parent);
+
+    app.unmount();
+
+    expect(ref).toHaveBeenCalledTimes(2);
+    expect(ref).toHaveBeenLastCalledWith(null);
+  });
+});
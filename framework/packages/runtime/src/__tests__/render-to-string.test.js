@@ -0,0 +1,106 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from "vitest";
+import { defineComponent } from "../component.js";
+import { h, hFragment, hSlot, hString } from "../h.js";
+import { renderToString } from "../render-to-string.js";
+import { createStore } from "../store.js";
+
+describe("render-to-string.js", () => {
+  describe("renderToString()", () => {
+    it("should render element trees with text children", () => {
+      const vdom = h("div", { id: "app" }, [h("p", {}, ["Hello"]), "world"]);
+      expect(renderToString(vdom)).toBe('<div id="app"><p>Hello</p>world</div>');
+    });
+
+    it("should render fragments without a wrapping element", () => {
+      const vdom = hFragment([h("span", {}, ["a"]), hString("b")]);
+      expect(renderToString(vdom)).toBe("<span>a</span>b");
+    });
+
+    it("should serialize class arrays and style objects", () => {
+      const vdom = h("li", {
+        class: ["todo", "", "completed"],
+        style: { backgroundColor: "red", "--gap": "4px" },
+      });
+      expect(renderToString(vdom)).toBe(
+        '<li class="todo completed" style="background-color: red; --gap: 4px"></li>'
+      );
+    });
+
+    it("should render boolean attributes and skip false or null ones", () => {
+      const vdom = h("input", { type: "checkbox", checked: true, disabled: false, value: null });
+      expect(renderToString(vdom)).toBe('<input type="checkbox" checked>');
+    });
+
+    it("should escape text and attribute values", () => {
+      const vdom = h("a", { title: '"quoted" & <b>' }, ["<script>alert(1)</script>"]);
+      expect(renderToString(vdom)).toBe(
+        '<a title="&quot;quoted&quot; &amp; &lt;b&gt;">&lt;script&gt;alert(1)&lt;/script&gt;</a>'
+      );
+    });
+
+    it("should skip event handlers and keys", () => {
+      const vdom = h("button", { key: 1, on: { click: () => {} } }, ["Go"]);
+      expect(renderToString(vdom)).toBe("<button>Go</button>");
+    });
+
+    it("should render components with their state and props without calling onMounted", () => {
+      const onMounted = vi.fn();
+      const Greeting = defineComponent({
+        state(props) {
+          return { greeting: `Hello, ${props.name}` };
+        },
+        onMounted,
+        render() {
+          return h("h1", {}, [this.state.greeting]);
+        },
+      });
+
+      expect(renderToString(Greeting, { name: "DotJS" })).toBe("<h1>Hello, DotJS</h1>");
+      expect(onMounted).not.toHaveBeenCalled();
+    });
+
+    it("should fill slots with the external content of a component", () => {
+      const Card = defineComponent({
+        render() {
+          return h("section", {}, [hSlot([h("em", {}, ["empty"])])]);
+        },
+      });
+
+      expect(renderToString(h("div", {}, [h(Card, {}, ["content"]), h(Card)]))).toBe(
+        "<div><section>content</section><section><em>empty</em></section></div>"
+      );
+    });
+
+    it("should expose the app context to components", () => {
+      const Title = defineComponent({
+        render() {
+          return h("title", {}, [this.appContext.title]);
+        },
+      });
+
+      expect(renderToString(Title, { context: { title: "Todos" } })).toBe("<title>Todos</title>");
+    });
+
+    it("should release the store selections of the rendered components", () => {
+      const store = createStore({
+        state: { todos: ["Walk"] },
+        reducers: { add: (state, todo) => ({ todos: [...state.todos, todo] }) },
+      });
+      const selector = vi.fn((state) => state.todos);
+      const Todos = defineComponent({
+        state() {
+          return { todos: this.appContext.store.select(selector) };
+        },
+        render() {
+          return h("ul", {}, this.state.todos.value.map((todo) => h("li", {}, [todo])));
+        },
+      });
+
+      expect(renderToString(h("main", {}, [h(Todos)]), {}, { store })).toBe("<main><ul><li>Walk</li></ul></main>");
+
+      store.dispatch("add", "Run");
+      expect(selector).toHaveBeenCalledOnce();
+    });
+  });
+});
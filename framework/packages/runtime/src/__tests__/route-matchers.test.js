@@ -0,0 +1,105 @@
+import { describe, it, expect } from "vitest";
+import { buildPath, makeRouteMatcher, makeRouteMatchers } from "../route-matchers.js";
+
+function findMatch(routes, path) {
+  return makeRouteMatchers(routes).find((matcher) => matcher.checkMatch(path));
+}
+
+describe("route-matchers.js", () => {
+  describe("makeRouteMatcher()", () => {
+    it("should match optional params", () => {
+      const matcher = makeRouteMatcher({ path: "/todos/:filter?" });
+
+      expect(matcher.checkMatch("/todos")).toBe(true);
+      expect(matcher.extractParams("/todos")).toEqual({});
+      expect(matcher.extractParams("/todos/active")).toEqual({ filter: "active" });
+      expect(matcher.checkMatch("/todos/active/2")).toBe(false);
+    });
+
+    it("should match splat params across segments", () => {
+      const matcher = makeRouteMatcher({ path: "/files/*path" });
+
+      expect(matcher.extractParams("/files/docs/2024/report.pdf")).toEqual({ path: "docs/2024/report.pdf" });
+      expect(matcher.checkMatch("/files")).toBe(false);
+      expect(makeRouteMatcher({ path: "/files/*path?" }).checkMatch("/files")).toBe(true);
+    });
+
+    it("should only match params satisfying their constraint", () => {
+      const matcher = makeRouteMatcher({ path: "/todos/:id(\\d+)" });
+
+      expect(matcher.extractParams("/todos/42")).toEqual({ id: "42" });
+      expect(matcher.checkMatch("/todos/new")).toBe(false);
+    });
+
+    it("should ignore case and trailing slashes unless asked not to", () => {
+      expect(makeRouteMatcher({ path: "/about" }).checkMatch("/About/")).toBe(true);
+      expect(makeRouteMatcher({ path: "/about", caseSensitive: true }).checkMatch("/About")).toBe(false);
+      expect(makeRouteMatcher({ path: "/about", strict: true }).checkMatch("/about/")).toBe(false);
+    });
+
+    it("should decode params", () => {
+      const matcher = makeRouteMatcher({ path: "/users/:name" });
+
+      expect(matcher.extractParams("/users/john%20doe")).toEqual({ name: "john doe" });
+      expect(matcher.extractParams("/users/100%")).toEqual({ name: "100%" });
+    });
+
+    it("should escape special characters of static segments", () => {
+      const matcher = makeRouteMatcher({ path: "/docs/v1.0" });
+
+      expect(matcher.checkMatch("/docs/v1.0")).toBe(true);
+      expect(matcher.checkMatch("/docs/v1x0")).toBe(false);
+    });
+  });
+
+  describe("makeRouteMatchers()", () => {
+    const routes = [
+      { path: "*", name: "not-found" },
+      { path: "/todos/*rest", name: "todos-rest" },
+      { path: "/todos/:id?", name: "todos-optional" },
+      { path: "/todos/:id", name: "todo" },
+      { path: "/todos/:id(\\d+)", name: "todo-by-number" },
+      { path: "/todos/new", name: "new-todo" },
+    ];
+
+    it("should rank the most specific route first, whatever the declaration order", () => {
+      expect(findMatch(routes, "/todos/new").route.name).toBe("new-todo");
+      expect(findMatch(routes, "/todos/42").route.name).toBe("todo-by-number");
+      expect(findMatch(routes, "/todos/abc").route.name).toBe("todo");
+      expect(findMatch(routes, "/todos").route.name).toBe("todos-optional");
+      expect(findMatch(routes, "/todos/abc/edit").route.name).toBe("todos-rest");
+      expect(findMatch(routes, "/elsewhere").route.name).toBe("not-found");
+    });
+
+    it("should prefer a static route over an optional param", () => {
+      const matcher = findMatch([{ path: "/:lang?", name: "home" }, { path: "/", name: "root" }], "/");
+
+      expect(matcher.route.name).toBe("root");
+    });
+
+    it("should keep a child with an empty path ahead of its parent", () => {
+      const matcher = findMatch([{ path: "/users", name: "users", children: [{ path: "", name: "users-list" }] }], "/users");
+
+      expect(matcher.route.name).toBe("users-list");
+    });
+  });
+
+  describe("buildPath()", () => {
+    it("should omit missing optional params", () => {
+      expect(buildPath("/todos/:filter?", {})).toBe("/todos");
+      expect(buildPath("/todos/:filter?", { filter: "done" })).toBe("/todos/done");
+    });
+
+    it("should keep the slashes of splat params", () => {
+      expect(buildPath("/files/*path", { path: "my docs/report.pdf" })).toBe("/files/my%20docs/report.pdf");
+    });
+
+    it("should drop param constraints", () => {
+      expect(buildPath("/todos/:id(\\d+)", { id: 7 })).toBe("/todos/7");
+    });
+
+    it("should throw when a required param is missing", () => {
+      expect(() => buildPath("/files/*path", {})).toThrow('Missing required param "path" to build the path "/files/*path"');
+    });
+  });
+});
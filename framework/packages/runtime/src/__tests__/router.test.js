@@ -0,0 +1,887 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createApp } from "../app.js";
+import { defineComponent } from "../component.js";
+import { h } from "../h.js";
+import { renderToString } from "../render-to-string.js";
+import { RouterLink, RouterOutlet } from "../router-components.js";
+import { HistoryRouter, MemoryRouter } from "../router.js";
+import { nextTick } from "../scheduler.js";
+
+const Home = defineComponent({
+  render() {
+    return h("h1", {}, ["Home"]);
+  },
+});
+
+const About = defineComponent({
+  render() {
+    return h("h1", {}, ["About"]);
+  },
+});
+
+const App = defineComponent({
+  render() {
+    return h("div", {}, [h(RouterLink, { to: "/about" }, ["About"]), h(RouterOutlet)]);
+  },
+});
+
+const routes = [
+  { path: "/", component: Home },
+  { path: "/about", component: About },
+  { path: "/todos/:id", component: About },
+  { path: "/old-about", redirect: "/about" },
+];
+
+describe("router.js", () => {
+  describe("MemoryRouter", () => {
+    it("should match routes, params and query strings without touching window", async () => {
+      const pushState = vi.spyOn(window.history, "pushState");
+      const router = new MemoryRouter(routes, { initialPath: "/todos/42?filter=active" });
+
+      await router.init();
+
+      expect(router.matchedRoute.path).toBe("/todos/:id");
+      expect(router.params).toEqual({ id: "42" });
+      expect(router.query).toEqual({ filter: "active" });
+      expect(pushState).not.toHaveBeenCalled();
+      pushState.mockRestore();
+    });
+
+    it("should keep its own history stack", async () => {
+      const router = new MemoryRouter(routes);
+      await router.init();
+
+      await router.navigateTo("/old-about");
+      expect(router.history.location).toBe("/about");
+
+      router.back();
+      await nextTick();
+      expect(router.matchedRoute.path).toBe("/");
+
+      router.forward();
+      await nextTick();
+      expect(router.matchedRoute.path).toBe("/about");
+    });
+
+    it("should keep the current location when no route matches", async () => {
+      const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+      const router = new MemoryRouter(routes);
+      await router.init();
+
+      expect(await router.navigateTo("/nope")).toBe(false);
+      expect(router.hasMatch("/nope")).toBe(false);
+      expect(router.currentLocation.path).toBe("/");
+      expect(router.matchedRoute.path).toBe("/");
+      expect(warn).toHaveBeenCalledWith('[Router] No route matches path "/nope"');
+      warn.mockRestore();
+    });
+
+    it("should restore the history position when a guard cancels a back navigation", async () => {
+      let canLeave = true;
+      const router = new MemoryRouter([
+        { path: "/", component: Home, beforeEnter: () => canLeave },
+        { path: "/about", component: About },
+      ]);
+      await router.init();
+      await router.navigateTo("/about");
+
+      canLeave = false;
+      router.back();
+      await nextTick();
+
+      expect(router.history.position).toBe(1);
+      expect(router.matchedRoute.path).toBe("/about");
+    });
+
+    it("should let renderToString() render the matched route", async () => {
+      const router = new MemoryRouter(routes, { initialPath: "/about" });
+      await router.init();
+
+      const html = renderToString(App, {}, { router });
+
+      expect(html).toBe(
+        '<div><a class="active exact-active" href="/about" aria-current="page">About</a><div id="router-outlet"><h1>About</h1></div></div>'
+      );
+    });
+  });
+
+  describe("nested routes", () => {
+    const SettingsLayout = defineComponent({
+      render() {
+        return h("section", {}, [h("h1", {}, ["Settings"]), h(RouterOutlet)]);
+      },
+    });
+
+    const Profile = defineComponent({
+      render() {
+        return h("p", {}, [`Profile of ${this.appContext.router.params.userId}`]);
+      },
+    });
+
+    const Account = defineComponent({
+      render() {
+        return h("p", {}, ["Account"]);
+      },
+    });
+
+    const nestedRoutes = [
+      { path: "/", component: Home },
+      {
+        path: "/users/:userId/settings",
+        component: SettingsLayout,
+        children: [
+          { path: "profile", component: Profile },
+          { path: "account/:section", component: Account },
+        ],
+      },
+      {
+        path: "/help",
+        component: SettingsLayout,
+        children: [
+          { path: "", redirect: "faq" },
+          { path: "faq", component: Account, name: "faq" },
+        ],
+      },
+    ];
+
+    it("should resolve child paths against their parent and expose the matched records", async () => {
+      const router = new MemoryRouter(nestedRoutes, { initialPath: "/users/7/settings/account/email" });
+      await router.init();
+
+      expect(router.matched.map((record) => record.path)).toEqual([
+        "/users/:userId/settings",
+        "/users/:userId/settings/account/:section",
+      ]);
+      expect(router.params).toEqual({ userId: "7", section: "email" });
+
+      await router.navigateTo("/help");
+      expect(router.matchedRoute.name).toBe("faq");
+      expect(router.history.location).toBe("/help/faq");
+    });
+
+    it("should render each level of matched records in its own RouterOutlet", async () => {
+      const router = new MemoryRouter(nestedRoutes, { initialPath: "/users/7/settings/profile" });
+      const parentEl = document.createElement("div");
+      createApp(RouterOutlet, {}, { router }).mount(parentEl);
+      await router.init();
+      await nextTick();
+
+      expect(parentEl.querySelector("section").textContent).toBe("SettingsProfile of 7");
+
+      await router.navigateTo("/users/7/settings/account/email");
+      await nextTick();
+
+      expect(parentEl.querySelector("section").textContent).toBe("SettingsAccount");
+
+      await router.navigateTo("/");
+      await nextTick();
+
+      expect(parentEl.querySelector("section")).toBeNull();
+      expect(parentEl.querySelector("h1").textContent).toBe("Home");
+    });
+  });
+
+  describe("named routes", () => {
+    const namedRoutes = [
+      { path: "/", component: Home, name: "home" },
+      { path: "/todos/:id", component: About, name: "todo" },
+      { path: "/tasks/:id", redirect: "/todos/:id" },
+    ];
+
+    it("should build paths from route names, params, query and hash", async () => {
+      const router = new MemoryRouter(namedRoutes);
+      await router.init();
+
+      await router.navigateTo({
+        name: "todo",
+        params: { id: "a b" },
+        query: { filter: "active", page: 2, empty: null },
+        hash: "details",
+      });
+
+      expect(router.history.location).toBe("/todos/a%20b?filter=active&page=2#details");
+      expect(router.matchedRoute.name).toBe("todo");
+      expect(router.query).toEqual({ filter: "active", page: "2" });
+    });
+
+    it("should throw for unknown names and missing params", () => {
+      const router = new MemoryRouter(namedRoutes);
+
+      expect(() => router.resolve({ name: "nope" })).toThrow('No route named "nope"');
+      expect(() => router.resolve({ name: "todo" })).toThrow(
+        'Missing required param "id" to build the path "/todos/:id"'
+      );
+    });
+
+    it("should carry params over to redirect targets", async () => {
+      const router = new MemoryRouter(namedRoutes, { initialPath: "/tasks/3" });
+      await router.init();
+
+      expect(router.history.location).toBe("/todos/3");
+      expect(router.params).toEqual({ id: "3" });
+    });
+
+    it("should let RouterLink take route locations", async () => {
+      const router = new MemoryRouter(namedRoutes);
+      await router.init();
+      const Nav = defineComponent({
+        render() {
+          return h(RouterLink, { to: { name: "todo", params: { id: 5 } } }, ["Todo"]);
+        },
+      });
+      const parentEl = document.createElement("div");
+      createApp(Nav, {}, { router }).mount(parentEl);
+
+      const link = parentEl.querySelector("a");
+      expect(link.getAttribute("href")).toBe("/todos/5");
+
+      link.click();
+      await nextTick();
+
+      expect(router.params).toEqual({ id: "5" });
+    });
+  });
+
+  describe("navigation guards", () => {
+    it("should run guards in order with full route locations", async () => {
+      const calls = [];
+      const guard = (name) => (from, to) => {
+        calls.push([name, from?.fullPath ?? null, to.fullPath]);
+      };
+      const router = new MemoryRouter([
+        { path: "/", component: Home, beforeLeave: guard("home.beforeLeave") },
+        { path: "/todos/:id", component: About, name: "todo", beforeEnter: guard("todo.beforeEnter") },
+      ]);
+      router.beforeLeave(guard("beforeLeave"));
+      router.beforeEach(guard("beforeEach"));
+      router.beforeResolve(guard("beforeResolve"));
+      router.afterEach(guard("afterEach"));
+      await router.init();
+      calls.length = 0;
+
+      await router.navigateTo("/todos/3?tab=notes");
+
+      expect(calls).toEqual([
+        ["home.beforeLeave", "/", "/todos/3?tab=notes"],
+        ["beforeLeave", "/", "/todos/3?tab=notes"],
+        ["beforeEach", "/", "/todos/3?tab=notes"],
+        ["todo.beforeEnter", "/", "/todos/3?tab=notes"],
+        ["beforeResolve", "/", "/todos/3?tab=notes"],
+        ["afterEach", "/", "/todos/3?tab=notes"],
+      ]);
+    });
+
+    it("should pass params, query and matched records to guards", async () => {
+      const router = new MemoryRouter([{ path: "/todos/:id", component: About, name: "todo" }], {
+        initialPath: "/todos/1",
+      });
+      const beforeEach = vi.fn();
+      router.beforeEach(beforeEach);
+      await router.init();
+
+      const [, to] = beforeEach.mock.calls[0];
+      expect(to).toMatchObject({ path: "/todos/1", name: "todo", params: { id: "1" }, query: {} });
+      expect(to.matched.map((record) => record.path)).toEqual(["/todos/:id"]);
+    });
+
+    it("should cancel the navigation when a guard returns false", async () => {
+      let hasUnsavedChanges = true;
+      const router = new MemoryRouter(routes);
+      const afterEach = vi.fn();
+      await router.init();
+      const removeGuard = router.beforeLeave(() => !hasUnsavedChanges);
+      router.afterEach(afterEach);
+
+      expect(await router.navigateTo("/about")).toBe(false);
+      expect(router.matchedRoute.path).toBe("/");
+      expect(afterEach).not.toHaveBeenCalled();
+
+      removeGuard();
+      expect(await router.navigateTo("/about")).toBe(true);
+      expect(router.matchedRoute.path).toBe("/about");
+    });
+
+    it("should redirect when a guard returns a location", async () => {
+      const router = new MemoryRouter([
+        { path: "/", component: Home, name: "login" },
+        { path: "/about", component: About },
+      ]);
+      router.beforeEach((from, to) => (to.path === "/about" ? { name: "login", query: { next: to.fullPath } } : true));
+      await router.init();
+
+      await router.navigateTo("/about");
+
+      expect(router.history.location).toBe("/?next=%2Fabout");
+      expect(router.query).toEqual({ next: "/about" });
+    });
+
+    it("should cancel the navigation and report the error when a guard throws", async () => {
+      const router = new MemoryRouter(routes);
+      const onError = vi.fn();
+      await router.init();
+      router.onError(onError);
+      router.beforeEach(() => {
+        throw new Error("Not allowed");
+      });
+
+      expect(await router.navigateTo("/about")).toBe(false);
+      expect(router.matchedRoute.path).toBe("/");
+      expect(onError).toHaveBeenCalledWith(new Error("Not allowed"), "/about");
+    });
+  });
+
+  describe("lazy route components", () => {
+    const Loading = defineComponent({
+      render() {
+        return h("p", {}, ["Loading..."]);
+      },
+    });
+
+    const LoadingError = defineComponent({
+      props: { error: Error },
+      render() {
+        return h("p", {}, [`Failed: ${this.props.error.message}`]);
+      },
+    });
+
+    function deferred() {
+      let resolve;
+      let reject;
+      const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+      });
+
+      return { promise, resolve, reject };
+    }
+
+    function mountOutlet(router, props) {
+      const Root = defineComponent({
+        render() {
+          return h(RouterOutlet, props);
+        },
+      });
+      const parentEl = document.createElement("div");
+      createApp(Root, {}, { router }).mount(parentEl);
+
+      return parentEl;
+    }
+
+    function flushTimers() {
+      return vi.advanceTimersByTimeAsync(0);
+    }
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it("should resolve the component before committing and cache it", async () => {
+      const loader = vi.fn(async () => ({ default: About }));
+      const router = new MemoryRouter([
+        { path: "/", component: Home },
+        { path: "/about", component: loader },
+      ]);
+      const parentEl = mountOutlet(router);
+      await router.init();
+
+      await router.navigateTo("/about");
+      await flushTimers();
+      expect(parentEl.textContent).toBe("About");
+
+      await router.navigateTo("/");
+      await router.navigateTo("/about");
+      expect(loader).toHaveBeenCalledOnce();
+    });
+
+    it("should show the loading component after the delay", async () => {
+      const chunk = deferred();
+      const router = new MemoryRouter([
+        { path: "/", component: Home },
+        { path: "/about", component: () => chunk.promise },
+      ]);
+      const parentEl = mountOutlet(router, { loading: Loading, delay: 100 });
+      await router.init();
+      await flushTimers();
+
+      const navigation = router.navigateTo("/about");
+      await flushTimers();
+      expect(parentEl.textContent).toBe("Home");
+
+      await vi.advanceTimersByTimeAsync(100);
+      expect(parentEl.textContent).toBe("Loading...");
+
+      chunk.resolve({ default: About });
+      await navigation;
+      await flushTimers();
+      expect(parentEl.textContent).toBe("About");
+    });
+
+    it("should show the error component when loading fails or times out", async () => {
+      const slowChunk = deferred();
+      const router = new MemoryRouter([
+        { path: "/", component: Home },
+        { path: "/slow", component: () => slowChunk.promise },
+        { path: "/broken", component: () => Promise.reject(new Error("Chunk failed")) },
+      ]);
+      const parentEl = mountOutlet(router, { error: LoadingError, timeout: 1000 });
+      router.onError(() => {});
+      await router.init();
+
+      expect(await router.navigateTo("/broken")).toBe(false);
+      await flushTimers();
+      expect(parentEl.textContent).toBe("Failed: Chunk failed");
+
+      router.navigateTo("/slow");
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(parentEl.textContent).toBe("Failed: Loading the route component timed out after 1000ms");
+    });
+
+    it("should not update the outlet state for loading timers that were never started", async () => {
+      const router = new MemoryRouter(routes);
+      mountOutlet(router);
+      await router.init();
+      await flushTimers();
+      const updateState = vi.spyOn(RouterOutlet.prototype, "updateState");
+
+      await router.navigateTo("/about");
+
+      expect(updateState).toHaveBeenCalledOnce();
+      updateState.mockRestore();
+    });
+
+    it("should report the failure of a lazy route reached with a RouterLink", async () => {
+      const onError = vi.fn();
+      const router = new MemoryRouter([
+        { path: "/", component: Home },
+        { path: "/broken", component: () => Promise.reject(new Error("Chunk failed")) },
+      ]);
+      router.onError(onError);
+      const Root = defineComponent({
+        render() {
+          return h("div", {}, [
+            h(RouterLink, { to: "/broken" }, ["Broken"]),
+            h(RouterOutlet, { error: LoadingError }),
+          ]);
+        },
+      });
+      const parentEl = document.createElement("div");
+      createApp(Root, {}, { router }).mount(parentEl);
+      await router.init();
+
+      parentEl.querySelector("a").click();
+      await flushTimers();
+
+      expect(parentEl.textContent).toBe("BrokenFailed: Chunk failed");
+      expect(onError).toHaveBeenCalledWith(new Error("Chunk failed"), "/broken");
+      expect(router.currentLocation.path).toBe("/");
+    });
+  });
+
+  describe("route loaders", () => {
+    const TodoPage = defineComponent({
+      render() {
+        return h("h1", {}, [this.routeData.title]);
+      },
+    });
+
+    it("should wait for the loader before committing and expose its data", async () => {
+      const loader = vi.fn(async ({ params }) => ({ title: `Todo ${params.id}` }));
+      const router = new MemoryRouter([
+        { path: "/", component: Home },
+        { path: "/todos/:id", component: TodoPage, loader },
+      ]);
+      const parentEl = document.createElement("div");
+      createApp(RouterOutlet, {}, { router }).mount(parentEl);
+      await router.init();
+
+      await router.navigateTo("/todos/3?tab=notes");
+      await nextTick();
+
+      expect(loader).toHaveBeenCalledWith({
+        params: { id: "3" },
+        query: { tab: "notes" },
+        signal: expect.any(AbortSignal),
+      });
+      expect(parentEl.textContent).toBe("Todo 3");
+    });
+
+    it("should abort the loader when a newer navigation starts", async () => {
+      let loaderSignal;
+      const router = new MemoryRouter([
+        { path: "/", component: Home },
+        { path: "/about", component: About },
+        {
+          path: "/todos/:id",
+          component: TodoPage,
+          loader: ({ signal }) => {
+            loaderSignal = signal;
+            return new Promise(() => {});
+          },
+        },
+      ]);
+      await router.init();
+
+      const firstNavigation = router.navigateTo("/todos/1");
+      await nextTick();
+      await router.navigateTo("/about");
+
+      expect(loaderSignal.aborted).toBe(true);
+      expect(router.matchedRoute.path).toBe("/about");
+      expect(await Promise.race([firstNavigation, nextTick().then(() => "pending")])).toBe("pending");
+    });
+
+    it("should render the outlet's error component when the loader fails", async () => {
+      const LoadingError = defineComponent({
+        props: { error: Error },
+        render() {
+          return h("p", {}, [this.props.error.message]);
+        },
+      });
+      const router = new MemoryRouter([
+        { path: "/", component: Home },
+        { path: "/todos/:id", component: TodoPage, loader: async () => {
+          throw new Error("Todo not found");
+        } },
+      ]);
+      const Root = defineComponent({
+        render() {
+          return h(RouterOutlet, { error: LoadingError });
+        },
+      });
+      const parentEl = document.createElement("div");
+      createApp(Root, {}, { router }).mount(parentEl);
+      router.onError(() => {});
+      await router.init();
+
+      expect(await router.navigateTo("/todos/9")).toBe(false);
+      await nextTick();
+
+      expect(parentEl.textContent).toBe("Todo not found");
+      expect(router.matchedRoute.path).toBe("/");
+    });
+    it("should render the error component when the loader of the initial route fails", async () => {
+      const onError = vi.fn();
+      const router = new MemoryRouter([
+        { path: "/", component: Home, loader: () => Promise.reject(new Error("Backend down")) },
+      ]);
+      router.onError(onError);
+      const Root = defineComponent({
+        render() {
+          return h(RouterOutlet, { error: defineComponent({
+            props: { error: Error },
+            render() {
+              return h("p", {}, [this.props.error.message]);
+            },
+          }) });
+        },
+      });
+      const parentEl = document.createElement("div");
+
+      createApp(Root, {}, { router }).mount(parentEl);
+      await router.init();
+      await nextTick();
+
+      expect(parentEl.textContent).toBe("Backend down");
+      expect(onError).toHaveBeenCalledWith(new Error("Backend down"), "/");
+    });
+  });
+
+  describe("RouterLink", () => {
+    const Nav = defineComponent({
+      render() {
+        return h("nav", {}, [
+          h(RouterLink, { to: "/" }, ["Home"]),
+          h(RouterLink, { to: "/todos", activeClass: "current" }, ["Todos"]),
+          h(RouterLink, { to: "/todos/1", replace: true }, ["First todo"]),
+        ]);
+      },
+    });
+    const linkRoutes = [
+      { path: "/", component: Home },
+      { path: "/todos", component: About },
+      { path: "/todos/:id", component: About },
+    ];
+
+    async function mountNav(router) {
+      const parentEl = document.createElement("div");
+      createApp(Nav, {}, { router }).mount(parentEl);
+      await router.init();
+      await nextTick();
+
+      return [...parentEl.querySelectorAll("a")];
+    }
+
+    it("should apply the active classes and aria-current from the current location", async () => {
+      const router = new MemoryRouter(linkRoutes);
+      const [home, todos, firstTodo] = await mountNav(router);
+
+      expect(home.className).toBe("active exact-active");
+      expect(home.getAttribute("aria-current")).toBe("page");
+      expect(todos.className).toBe("");
+
+      await router.navigateTo("/todos/1");
+      await nextTick();
+
+      expect(home.className).toBe("");
+      expect(home.hasAttribute("aria-current")).toBe(false);
+      expect(todos.className).toBe("current");
+      expect(firstTodo.className).toBe("active exact-active");
+    });
+
+    it("should replace the history entry when the replace prop is set", async () => {
+      const router = new MemoryRouter(linkRoutes);
+      const [, todos, firstTodo] = await mountNav(router);
+
+      todos.click();
+      await nextTick();
+      firstTodo.click();
+      await nextTick();
+      router.back();
+      await nextTick();
+
+      expect(router.currentLocation.path).toBe("/");
+    });
+
+    it("should report the errors of the navigation started by a click", async () => {
+      const onError = vi.fn();
+      const router = new MemoryRouter([
+        ...linkRoutes.slice(0, 2),
+        { path: "/todos/:id", component: About, beforeEnter: async () => {
+          throw new Error("Not allowed");
+        } },
+      ]);
+      router.onError(onError);
+      const [, , firstTodo] = await mountNav(router);
+
+      firstTodo.click();
+      await nextTick();
+
+      expect(onError).toHaveBeenCalledWith(new Error("Not allowed"), "/todos/1");
+      expect(router.currentLocation.path).toBe("/");
+    });
+
+    it("should let the browser handle clicks with a modifier key", async () => {
+      const router = new MemoryRouter(linkRoutes);
+      const navigateTo = vi.spyOn(router, "navigateTo");
+      const [, todos] = await mountNav(router);
+      const event = new MouseEvent("click", { bubbles: true, cancelable: true, ctrlKey: true });
+      let wasPrevented = null;
+      todos.parentNode.addEventListener("click", (event) => {
+        wasPrevented = event.defaultPrevented;
+        event.preventDefault();
+      });
+
+      todos.dispatchEvent(event);
+
+      expect(wasPrevented).toBe(false);
+      expect(navigateTo).not.toHaveBeenCalled();
+    });
+
+    it("should prefetch lazy route components on hover", async () => {
+      const loader = vi.fn(async () => About);
+      const router = new MemoryRouter([{ path: "/", component: Home }, { path: "/about", component: loader }]);
+      const Page = defineComponent({
+        render() {
+          return h(RouterLink, { to: "/about", prefetch: true }, ["About"]);
+        },
+      });
+      const parentEl = document.createElement("div");
+      createApp(Page, {}, { router }).mount(parentEl);
+      await router.init();
+
+      parentEl.querySelector("a").dispatchEvent(new MouseEvent("mouseenter"));
+      parentEl.querySelector("a").dispatchEvent(new MouseEvent("mouseenter"));
+      await nextTick();
+      await router.navigateTo("/about");
+
+      expect(loader).toHaveBeenCalledOnce();
+      expect(router.matchedRoute.component).toBe(About);
+    });
+  });
+
+  describe("scroll behavior and focus management", () => {
+    let scrollTo;
+
+    beforeEach(() => {
+      scrollTo = vi.spyOn(window, "scrollTo").mockImplementation(({ left, top }) => {
+        window.scrollX = left;
+        window.scrollY = top;
+      });
+    });
+
+    afterEach(() => {
+      scrollTo.mockRestore();
+      window.scrollX = 0;
+      window.scrollY = 0;
+    });
+
+    it("should restore the saved position on back navigations", async () => {
+      const scrollBehavior = vi.fn((to, from, savedPosition) => savedPosition ?? { top: 0 });
+      const router = new MemoryRouter(routes, { scrollBehavior });
+      await router.init();
+
+      window.scrollY = 300;
+      await router.navigateTo("/about");
+      await nextTick();
+      expect(scrollTo).toHaveBeenLastCalledWith({ left: 0, top: 0, behavior: undefined });
+
+      router.back();
+      await nextTick();
+      await nextTick();
+
+      const [to, from, savedPosition] = scrollBehavior.mock.lastCall;
+      expect([from.path, to.path]).toEqual(["/about", "/"]);
+      expect(savedPosition).toEqual({ left: 0, top: 300 });
+      expect(window.scrollY).toBe(300);
+    });
+
+    it("should leave the scroll restoration of the page to the browser routers", async () => {
+      window.history.scrollRestoration = "auto";
+      await new MemoryRouter(routes, { scrollBehavior: () => null }).init();
+
+      expect(window.history.scrollRestoration).toBe("auto");
+    });
+
+    it("should scroll to the element targeted by the hash", async () => {
+      const target = document.createElement("h2");
+      target.id = "team";
+      target.getBoundingClientRect = () => ({ top: 500, left: 0 });
+      document.body.append(target);
+      const router = new MemoryRouter(routes, {
+        scrollBehavior: (to) => (to.hash ? { el: to.hash, top: 20 } : null),
+      });
+      await router.init();
+
+      await router.navigateTo("/about#team");
+      await nextTick();
+
+      expect(scrollTo).toHaveBeenCalledWith({ left: 0, top: 480, behavior: undefined });
+      target.remove();
+    });
+
+    it("should move the focus to the new page and announce its title", async () => {
+      const router = new MemoryRouter([
+        { path: "/", component: Home, title: "Home" },
+        { path: "/todos/:id", component: About, title: (to) => `Todo ${to.params.id}` },
+      ], { focusReset: true });
+      const parentEl = document.createElement("div");
+      document.body.append(parentEl);
+      const app = createApp(App, {}, { router });
+      app.mount(parentEl);
+      await router.init();
+
+      await router.navigateTo("/todos/7");
+      await nextTick();
+      await nextTick();
+
+      const outletEl = parentEl.querySelector("#router-outlet");
+      expect(document.activeElement).toBe(outletEl);
+      expect(outletEl.getAttribute("tabindex")).toBe("-1");
+      expect(document.querySelector("[aria-live]").textContent).toBe("Todo 7");
+
+      router.destroy();
+      app.unmount();
+      parentEl.remove();
+      expect(document.querySelector("[aria-live]")).toBeNull();
+    });
+
+    it("should not move the focus when focusReset is disabled", async () => {
+      const router = new MemoryRouter(routes, { focusReset: false });
+      const parentEl = document.createElement("div");
+      document.body.append(parentEl);
+      const app = createApp(App, {}, { router });
+      app.mount(parentEl);
+      await router.init();
+
+      await router.navigateTo("/about");
+      await nextTick();
+      await nextTick();
+
+      expect(document.activeElement).toBe(document.body);
+      app.unmount();
+      parentEl.remove();
+    });
+  });
+
+  describe("HistoryRouter", () => {
+    let router;
+    let parentEl;
+    let app;
+
+    beforeEach(() => {
+      window.history.replaceState(null, "", "/app/");
+      router = new HistoryRouter(routes, { base: "/app" });
+      parentEl = document.createElement("div");
+      document.body.append(parentEl);
+    });
+
+    afterEach(() => {
+      app.unmount();
+      parentEl.remove();
+    });
+
+    it("should render real hrefs and navigate with pathnames", async () => {
+      app = createApp(App, {}, { router });
+      app.mount(parentEl);
+      await nextTick();
+
+      const link = parentEl.querySelector("a");
+      expect(link.getAttribute("href")).toBe("/app/about");
+
+      link.click();
+      await nextTick();
+
+      expect(window.location.pathname).toBe("/app/about");
+      expect(parentEl.querySelector("h1").textContent).toBe("About");
+    });
+
+    it("should intercept clicks on same-origin anchors", async () => {
+      const Page = defineComponent({
+        render() {
+          return h("div", {}, [h("a", { href: "/app/about?tab=team" }, ["About"]), h(RouterOutlet)]);
+        },
+      });
+      app = createApp(Page, {}, { router });
+      app.mount(parentEl);
+      await nextTick();
+
+      parentEl.querySelector("a").click();
+      await nextTick();
+
+      expect(window.location.pathname).toBe("/app/about");
+      expect(router.query).toEqual({ tab: "team" });
+      expect(parentEl.querySelector("h1").textContent).toBe("About");
+    });
+
+    it("should leave the clicks on anchors matching no route to the browser", async () => {
+      const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+      const Page = defineComponent({
+        render() {
+          return h("div", {}, [h("a", { href: "/app/downloads/file.pdf" }, ["File"]), h(RouterOutlet)]);
+        },
+      });
+      app = createApp(Page, {}, { router });
+      app.mount(parentEl);
+      await nextTick();
+      let wasPrevented = null;
+      const onClick = (event) => {
+        wasPrevented = event.defaultPrevented;
+        event.preventDefault();
+      };
+      window.addEventListener("click", onClick);
+
+      parentEl.querySelector("a").click();
+      await nextTick();
+      window.removeEventListener("click", onClick);
+
+      expect(wasPrevented).toBe(false);
+      expect(router.currentLocation.path).toBe("/");
+      expect(warn).not.toHaveBeenCalled();
+      warn.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { defineComponent } from "../component.js";
+import { h } from "../h.js";
+import { mountDOM } from "../mount-dom.js";
+import { flushSync, nextTick } from "../scheduler.js";
+
+describe("scheduler.js", () => {
+  let parentEl;
+  let renders;
+
+  const Counter = defineComponent({
+    state() {
+      return { count: 0 };
+    },
+    render() {
+      renders.push(`counter:${this.props.label}`);
+      return h("span", {}, [`${this.props.label}: ${this.state.count}`]);
+    },
+  });
+
+  beforeEach(() => {
+    parentEl = document.createElement("div");
+    renders = [];
+  });
+
+  afterEach(async () => {
+    await nextTick();
+  });
+
+  it("should batch several state updates into a single render", async () => {
+    const vdom = h(Counter, { label: "clicks" });
+    mountDOM(vdom, parentEl);
+    const counter = vdom.component;
+    renders = [];
+
+    counter.updateState({ count: 1 });
+    counter.updateState({ count: 2 });
+    counter.updateState({ count: 3 });
+
+    expect(counter.state.count).toBe(3);
+    expect(parentEl.textContent).toBe("clicks: 0");
+
+    await nextTick();
+
+    expect(renders).toEqual(["counter:clicks"]);
+    expect(parentEl.textContent).toBe("clicks: 3");
+  });
+
+  it("should re-render children as part of their parent's render", async () => {
+    const Parent = defineComponent({
+      state() {
+        return { label: "a" };
+      },
+      render() {
+        renders.push("parent");
+        return h("div", {}, [h(Counter, { label: this.state.label })]);
+      },
+    });
+    const vdom = h(Parent);
+    mountDOM(vdom, parentEl);
+    renders = [];
+
+    vdom.component.updateState({ label: "b" });
+    await nextTick();
+
+    expect(renders).toEqual(["parent", "counter:b"]);
+    expect(parentEl.textContent).toBe("b: 0");
+  });
+
+  it("should render once when a parent and its child are both updated", async () => {
+    let child = null;
+    const Child = defineComponent({
+      state() {
+        return { count: 0 };
+      },
+      onMounted() {
+        child = this;
+      },
+      render() {
+        renders.push("child");
+        return h("span", {}, [`${this.props.label}${this.state.count}`]);
+      },
+    });
+    const Parent = defineComponent({
+      state() {
+        return { label: "a" };
+      },
+      render() {
+        renders.push("parent");
+        return h("div", {}, [h(Child, { label: this.state.label })]);
+      },
+    });
+    const vdom = h(Parent);
+    mountDOM(vdom, parentEl);
+    await nextTick();
+    renders = [];
+
+    child.updateState({ count: 1 });
+    vdom.component.updateState({ label: "b" });
+    await nextTick();
+
+    expect(renders).toEqual(["parent", "child"]);
+    expect(parentEl.textContent).toBe("b1");
+  });
+
+  it("should flush pending renders synchronously with flushSync()", () => {
+    const vdom = h(Counter, { label: "sync" });
+    mountDOM(vdom, parentEl);
+
+    flushSync(() => vdom.component.updateState({ count: 5 }));
+
+    expect(parentEl.textContent).toBe("sync: 5");
+  });
+});
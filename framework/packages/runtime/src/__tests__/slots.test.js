@@ -0,0 +1,122 @@
+import { describe, it, expect } from "vitest";
+import { createApp } from "../app.js";
+import { defineComponent } from "../component.js";
+import { h, hSlot } from "../h.js";
+import { signal } from "../reactivity.js";
+import { renderToString } from "../render-to-string.js";
+import { nextTick } from "../scheduler.js";
+
+const Card = defineComponent({
+  render() {
+    return h("article", {}, [
+      h("header", {}, [hSlot("header", {}, ["Untitled"])]),
+      hSlot(),
+      hSlot("footer"),
+    ]);
+  },
+});
+
+const List = defineComponent({
+  props: { items: Array },
+  render() {
+    return h("ul", {}, this.props.items.map((item, index) =>
+      h("li", { key: item }, [hSlot("item", { item, index }, [item])])
+    ));
+  },
+});
+
+function mount(render) {
+  const App = defineComponent({ render });
+  const parentEl = document.createElement("div");
+  createApp(App).mount(parentEl);
+
+  return parentEl;
+}
+
+describe("slots.js", () => {
+  it("should fill the named slots from an object of slots", () => {
+    const html = renderToString(h(Card, {}, {
+      header: "Groceries",
+      default: [h("p", {}, ["Milk"]), "Eggs"],
+      footer: h("small", {}, ["2 items"]),
+    }));
+
+    expect(html).toBe("<article><header>Groceries</header><p>Milk</p>Eggs<small>2 items</small></article>");
+  });
+
+  it("should fill the named slots from children with a slot prop", () => {
+    const html = renderToString(h(Card, {}, [
+      h("p", {}, ["Milk"]),
+      h("small", { slot: "footer", class: "count" }, ["1 item"]),
+    ]));
+
+    expect(html).toBe('<article><header>Untitled</header><p>Milk</p><small class="count">1 item</small></article>');
+  });
+
+  it("should keep supporting a default slot with fallback content", () => {
+    const Box = defineComponent({
+      render() {
+        return h("div", {}, [hSlot([h("em", {}, ["empty"])])]);
+      },
+    });
+
+    expect(renderToString(h(Box))).toBe("<div><em>empty</em></div>");
+    expect(renderToString(h(Box, {}, ["full"]))).toBe("<div>full</div>");
+  });
+
+  it("should pass the slot props to scoped slot functions", () => {
+    const html = renderToString(h(List, { items: ["a", "b"] }, {
+      item: ({ item, index }) => h("strong", {}, [`${index}: ${item}`]),
+    }));
+
+    expect(html).toBe("<ul><li><strong>0: a</strong></li><li><strong>1: b</strong></li></ul>");
+  });
+
+  it("should render a slot used as the root of a component", () => {
+    const Passthrough = defineComponent({
+      render() {
+        return hSlot();
+      },
+    });
+
+    expect(renderToString(h(Passthrough, {}, [h("p", {}, ["Hi"])]))).toBe("<p>Hi</p>");
+  });
+
+  it("should patch the slot content when it changes", async () => {
+    const title = signal("Groceries");
+    const showFooter = signal(false);
+    const parentEl = mount(() =>
+      h(Card, {}, {
+        header: title.value,
+        default: [h("p", {}, ["Milk"])],
+        footer: showFooter.value ? [h("small", {}, ["1 item"])] : [],
+      })
+    );
+    const paragraph = parentEl.querySelector("p");
+
+    title.value = "Shopping";
+    showFooter.value = true;
+    await nextTick();
+
+    expect(parentEl.innerHTML).toBe("<article><header>Shopping</header><p>Milk</p><small>1 item</small></article>");
+    expect(parentEl.querySelector("p")).toBe(paragraph);
+
+    title.value = null;
+    showFooter.value = false;
+    await nextTick();
+
+    expect(parentEl.innerHTML).toBe("<article><header>Untitled</header><p>Milk</p></article>");
+  });
+
+  it("should re-render scoped slots with the child's data", async () => {
+    const items = signal(["a", "b"]);
+    const parentEl = mount(() =>
+      h(List, { items: items.value }, { item: ({ item }) => h("em", {}, [item.toUpperCase()]) })
+    );
+
+    items.value = ["b", "c"];
+    await nextTick();
+
+    expect(parentEl.innerHTML).toBe("<ul><li><em>B</em></li><li><em>C</em></li></ul>");
+  });
+});
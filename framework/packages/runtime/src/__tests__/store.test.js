@@ -0,0 +1,120 @@
+import { describe, it, expect, vi } from "vitest";
+import { createApp } from "../app.js";
+import { defineComponent } from "../component.js";
+import { h } from "../h.js";
+import { nextTick } from "../scheduler.js";
+import { createStore } from "../store.js";
+
+function createTodosStore() {
+  return createStore({
+    state: { todos: [], filter: "all" },
+    reducers: {
+      TODOS_LOADED: (state, todos) => ({ ...state, todos }),
+      TODO_ADDED: (state, todo) => ({ ...state, todos: [...state.todos, todo] }),
+      FILTER_CHANGED: (state, filter) => ({ ...state, filter }),
+    },
+    actions: {
+      async load({ dispatch }, todos) {
+        await Promise.resolve();
+        dispatch("TODOS_LOADED", todos);
+        return todos.length;
+      },
+    },
+  });
+}
+
+describe("store.js", () => {
+  describe("createStore()", () => {
+    it("should update the state through reducers", () => {
+      const store = createTodosStore();
+
+      store.dispatch("TODO_ADDED", "Walk the dog");
+
+      expect(store.state.todos).toEqual(["Walk the dog"]);
+    });
+
+    it("should run async actions and resolve with their result", async () => {
+      const store = createTodosStore();
+
+      const count = await store.dispatch("load", ["a", "b"]);
+
+      expect(count).toBe(2);
+      expect(store.getState().todos).toEqual(["a", "b"]);
+    });
+
+    it("should notify subscribers after every command", () => {
+      const store = createTodosStore();
+      const listener = vi.fn();
+
+      const unsubscribe = store.subscribe(listener);
+      store.dispatch("FILTER_CHANGED", "active");
+      unsubscribe();
+      store.dispatch("FILTER_CHANGED", "all");
+
+      expect(listener).toHaveBeenCalledOnce();
+      expect(listener).toHaveBeenCalledWith({ todos: [], filter: "active" });
+    });
+  });
+
+  describe("select()", () => {
+    it("should only re-render components whose selection changed", async () => {
+      const store = createTodosStore();
+      const renderList = vi.fn();
+      const renderFilter = vi.fn();
+      const TodoList = defineComponent({
+        state() {
+          return { todos: this.appContext.store.select((state) => state.todos) };
+        },
+        render() {
+          renderList();
+          return h("ul", {}, this.state.todos.value.map((todo) => h("li", {}, [todo])));
+        },
+      });
+      const Filter = defineComponent({
+        state() {
+          return { filter: this.appContext.store.select((state) => state.filter) };
+        },
+        render() {
+          renderFilter();
+          return h("p", {}, [this.state.filter.value]);
+        },
+      });
+      const App = defineComponent({
+        render() {
+          return h("div", {}, [h(TodoList), h(Filter)]);
+        },
+      });
+      const parentEl = document.createElement("div");
+      createApp(App, {}, { store }).mount(parentEl);
+
+      store.dispatch("TODO_ADDED", "Walk the dog");
+      await nextTick();
+
+      expect(parentEl.innerHTML).toBe("<div><ul><li>Walk the dog</li></ul><p>all</p></div>");
+      expect(renderList).toHaveBeenCalledTimes(2);
+      expect(renderFilter).toHaveBeenCalledOnce();
+    });
+
+    it("should stop updating the selection when the component unmounts", async () => {
+      const store = createTodosStore();
+      const render = vi.fn(() => h("p", {}, [`${store.state.todos.length}`]));
+      const Counter = defineComponent({
+        state() {
+          return { todos: this.appContext.store.select((state) => state.todos) };
+        },
+        render() {
+          this.state.todos.value;
+          return render();
+        },
+      });
+      const app = createApp(Counter, {}, { store });
+      app.mount(document.createElement("div"));
+
+      app.unmount();
+      store.dispatch("TODO_ADDED", "Walk the dog");
+      await nextTick();
+
+      expect(render).toHaveBeenCalledOnce();
+    });
+  });
+});
@@ -0,0 +1,198 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createApp } from "../app.js";
+import { defineComponent } from "../component.js";
+import { h, hFragment } from "../h.js";
+import { signal } from "../reactivity.js";
+import { Transition, TransitionGroup } from "../transition.js";
+
+function flushTimers(ms = 0) {
+  return vi.advanceTimersByTimeAsync(ms);
+}
+
+function mount(render) {
+  const App = defineComponent({ render });
+  const parentEl = document.createElement("div");
+  document.body.append(parentEl);
+  createApp(App).mount(parentEl);
+
+  return parentEl;
+}
+
+describe("transition.js", () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ["setTimeout", "clearTimeout", "requestAnimationFrame"] });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    document.body.innerHTML = "";
+  });
+
+  describe("Transition", () => {
+    it("should apply the enter classes to an inserted element", async () => {
+      const show = signal(false);
+      const onAfterEnter = vi.fn();
+      const parentEl = mount(() =>
+        h(Transition, { name: "fade", duration: 300, onAfterEnter }, [show.value ? h("p", {}, ["Hi"]) : null])
+      );
+      await flushTimers();
+
+      show.value = true;
+      await flushTimers();
+      const p = parentEl.querySelector("p");
+      expect(p.className).toBe("fade-enter-from fade-enter-active");
+
+      await flushTimers(32);
+      expect(p.className).toBe("fade-enter-active fade-enter-to");
+
+      await flushTimers(301);
+      expect(p.className).toBe("");
+      expect(onAfterEnter).toHaveBeenCalledWith(p);
+    });
+
+    it("should wait for transitionend before removing a leaving element", async () => {
+      const show = signal(true);
+      const onAfterLeave = vi.fn();
+      const parentEl = mount(() =>
+        h(Transition, { name: "fade", onAfterLeave }, [show.value ? h("p", {}, ["Hi"]) : null])
+      );
+      const p = parentEl.querySelector("p");
+      p.style.transitionDuration = "0.5s";
+      p.style.transitionProperty = "opacity";
+
+      show.value = false;
+      await flushTimers(32);
+
+      expect(p.isConnected).toBe(true);
+      expect(p.className).toBe("fade-leave-active fade-leave-to");
+
+      p.dispatchEvent(new Event("transitionend"));
+
+      expect(p.isConnected).toBe(false);
+      expect(onAfterLeave).toHaveBeenCalledWith(p);
+    });
+
+    it("should animate the elements of a component rendering a fragment and remove its text nodes", async () => {
+      const show = signal(false);
+      const Message = defineComponent({
+        render() {
+          return hFragment(["Hi ", h("b", {}, ["there"])]);
+        },
+      });
+      const parentEl = mount(() =>
+        h("div", {}, [h(Transition, { name: "fade", duration: 100 }, [show.value ? h(Message) : null])])
+      );
+      await flushTimers();
+
+      show.value = true;
+      await flushTimers();
+      const b = parentEl.querySelector("b");
+      expect(parentEl.textContent).toBe("Hi there");
+      expect(b.className).toBe("fade-enter-from fade-enter-active");
+
+      await flushTimers(200);
+      show.value = false;
+      await flushTimers();
+      expect(parentEl.textContent).toBe("there");
+      expect(b.className).toBe("fade-leave-from fade-leave-active");
+
+      await flushTimers(200);
+      expect(parentEl.innerHTML).toBe("<div></div>");
+    });
+
+    it("should only animate the initial render with appear", async () => {
+      const parentEl = mount(() =>
+        h("div", {}, [
+          h(Transition, { name: "fade" }, [h("p", { id: "quiet" })]),
+          h(Transition, { name: "fade", appear: true, duration: 100 }, [h("p", { id: "appearing" })]),
+        ])
+      );
+
+      expect(parentEl.querySelector("#quiet").className).toBe("");
+      expect(parentEl.querySelector("#appearing").className).toBe("fade-enter-from fade-enter-active");
+    });
+
+    it("should let JavaScript hooks decide when a transition is done", async () => {
+      const show = signal(true);
+      let done;
+      const parentEl = mount(() =>
+        h(Transition, { css: false, onLeave: (el, callback) => (done = callback) }, [
+          show.value ? h("p", {}, ["Hi"]) : null,
+        ])
+      );
+      const p = parentEl.querySelector("p");
+
+      show.value = false;
+      await flushTimers(1000);
+      expect(p.isConnected).toBe(true);
+      expect(p.className).toBe("");
+
+      done();
+      expect(p.isConnected).toBe(false);
+    });
+  });
+
+  describe("TransitionGroup", () => {
+    function mountList(items, props = {}) {
+      return mount(() =>
+        h(TransitionGroup, { tag: "ul", name: "list", duration: 200, ...props }, items.value.map((item) =>
+          h("li", { key: item }, [item])
+        ))
+      );
+    }
+
+    it("should keep leaving items in place while inserting new ones at the right index", async () => {
+      const items = signal(["a", "b", "c"]);
+      const parentEl = mountList(items);
+      await flushTimers();
+
+      items.value = ["a", "c", "d"];
+      await flushTimers();
+
+      expect(parentEl.querySelector("ul").textContent).toBe("abcd");
+      expect(parentEl.querySelectorAll("li")[1].className).toBe("list-leave-from list-leave-active");
+      expect(parentEl.querySelectorAll("li")[3].className).toBe("list-enter-from list-enter-active");
+
+      items.value = ["x", "a", "c", "d"];
+      await flushTimers();
+      expect(parentEl.querySelector("ul").textContent).toBe("xabcd");
+
+      await flushTimers(300);
+      expect(parentEl.querySelector("ul").textContent).toBe("xacd");
+    });
+
+    it("should render once when mounted, without measuring the items", async () => {
+      const render = vi.spyOn(TransitionGroup.prototype, "render");
+      const measure = vi.spyOn(Element.prototype, "getBoundingClientRect");
+      mountList(signal(["a", "b"]));
+      await flushTimers();
+
+      expect(render).toHaveBeenCalledOnce();
+      expect(measure).not.toHaveBeenCalled();
+      render.mockRestore();
+      measure.mockRestore();
+    });
+
+    it("should FLIP-animate the items that moved", async () => {
+      const items = signal(["a", "b"]);
+      const parentEl = mountList(items);
+      await flushTimers();
+      const [a, b] = parentEl.querySelectorAll("li");
+      const top = (el) => (el.parentNode.firstChild === el ? 0 : 20);
+      a.getBoundingClientRect = () => ({ left: 0, top: top(a) });
+      b.getBoundingClientRect = () => ({ left: 0, top: top(b) });
+      const setTransform = vi.spyOn(b.style, "transform", "set");
+
+      items.value = ["b", "a"];
+      await flushTimers();
+
+      expect(parentEl.querySelector("ul").textContent).toBe("ba");
+      expect(b.classList.contains("list-move")).toBe(true);
+      expect(b.style.transform).toBe("");
+      expect(setTransform).toHaveBeenNthCalledWith(1, "translate(0px, 20px)");
+
+      await flushTimers(201);
+      expect(b.classList.contains("list-move")).toBe(false);
+    });
+  });
+});
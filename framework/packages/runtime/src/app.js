@@ -1,17 +1,23 @@
 import { mountDOM } from "./mount-dom";
 import { destroyDOM } from "./destroy-dom";
 import { h } from "./h";
+import { hydrateDOM } from "./hydrate-dom";
 import { NoopRouter } from "./router";
 
+export function createAppContext(props = {}, options = {}) {
+  return {
+    router: options.router || new NoopRouter(),
+    store: options.store ?? null,
+    ...(props.context || {})
+  };
+}
+
 export function createApp(RootComponent, props = {}, options = {}) {
   let parentEl = null;
   let isMounted = false;
   let vdom = null;
 
-  const context = {
-    router: options.router || new NoopRouter(),
-    ...(props.context || {})
-  };
+  const context = createAppContext(props, options);
 
   function reset() {
     parentEl = null;
@@ -19,28 +25,49 @@ export function createApp(RootComponent, props = {}, options = {}) {
     vdom = null;
   }
 
-  return {
-    mount(_parentEl) {
-      if (isMounted) {
-        throw new Error('The application is already mounted');
-      }
+  function assertNotMounted() {
+    if (isMounted) {
+      throw new Error('The application is already mounted');
+    }
+  }
 
-      parentEl = _parentEl;
-      vdom = h(RootComponent, props);
-      mountDOM(vdom, parentEl, null, { appContext: context });
+  function start(_parentEl, renderVdom) {
+    parentEl = _parentEl;
+    vdom = h(RootComponent, props);
+    renderVdom(vdom, parentEl, { appContext: context, onError: options.onError });
 
-      context.router.init();
+    context.router.init();
 
+    isMounted = true;
+  }
+
+  return {
+    mount(_parentEl) {
+      assertNotMounted();
+      start(_parentEl, (rootVdom, containerEl, hostComponent) => {
+        mountDOM(rootVdom, containerEl, null, hostComponent);
+      });
+    },
+    hydrate(_parentEl) {
+      assertNotMounted();
       isMounted = true;
+
+      return Promise.resolve(context.router.init()).then(() => {
+        if (isMounted && vdom == null) {
+          start(_parentEl, hydrateDOM);
+        }
+      });
     },
     unmount() {
       if (!isMounted) {
         throw new Error('The application is not mounted');
       }
 
-      destroyDOM(vdom);
+      if (vdom) {
+        destroyDOM(vdom);
+      }
       context.router.destroy();
       reset();
     },
   }
-}
\ No newline at end of file
+}
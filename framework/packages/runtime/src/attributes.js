@@ -1,3 +1,10 @@
+import { isNotBlankOrEmptyString } from "./utils/strings";
+
+const ATTRIBUTE_ALIASES = {
+  className: "class",
+  htmlFor: "for",
+};
+
 export function setAttributes(el, attrs) {
   const { class: className, style, ...otherAttrs } = attrs;
 
@@ -39,7 +46,7 @@ export function removeStyle(el, name) {
 export function setAttribute(el, name, value) {
   if (value == null) {
     removeAttribute(el, name);
-  } else if (name.startsWith("data-")) {
+  } else if (name.startsWith("data-") || name.startsWith("aria-")) {
     el.setAttribute(name, value);
   } else {
     el[name] = value;
@@ -50,3 +57,57 @@ export function removeAttribute(el, name) {
   el[name] = null;
   el.removeAttribute(name);
 }
+
+
+export function serializeAttributes(attrs) {
+  const { class: className, style, ...otherAttrs } = attrs;
+  const serialized = {};
+
+  const classes = toClassString(className);
+  if (classes) {
+    serialized.class = classes;
+  }
+
+  const styles = toStyleString(style);
+  if (styles) {
+    serialized.style = styles;
+  }
+
+  for (const [name, value] of Object.entries(otherAttrs)) {
+    if (value == null || value === false || typeof value === "function") {
+      continue;
+    }
+
+    const attrName = ATTRIBUTE_ALIASES[name] ?? name;
+    serialized[attrName] = value === true && !name.startsWith("data-") ? true : String(value);
+  }
+
+  return serialized;
+}
+
+function toClassString(className) {
+  if (Array.isArray(className)) {
+    return className.filter(isNotBlankOrEmptyString).join(" ");
+  }
+
+  return typeof className === "string" ? className : "";
+}
+
+function toStyleString(style) {
+  if (!style) {
+    return "";
+  }
+
+  return Object.entries(style)
+    .filter(([, value]) => value != null && value !== "")
+    .map(([name, value]) => `${toCssPropertyName(name)}: ${value}`)
+    .join("; ");
+}
+
+function toCssPropertyName(name) {
+  if (name.startsWith("--")) {
+    return name;
+  }
+
+  return name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
@@ -0,0 +1,147 @@
+import { isDevelopment } from "./utils/env";
+import { hasOwnProperty } from "./utils/objects";
+import { isNotBlankOrEmptyString } from "./utils/strings";
+
+export function normalizePropsDefinitions(definitions) {
+  if (definitions == null) {
+    return null;
+  }
+
+  if (Array.isArray(definitions)) {
+    return Object.fromEntries(definitions.map((name) => [name, {}]));
+  }
+
+  return Object.fromEntries(
+    Object.entries(definitions).map(([name, definition]) => [name, normalizeDefinition(definition)])
+  );
+}
+
+function normalizeDefinition(definition) {
+  if (typeof definition === 'function' || Array.isArray(definition)) {
+    return { type: definition };
+  }
+
+  return definition ?? {};
+}
+
+export function resolveProps(definitions, rawProps, componentName) {
+  const props = {};
+  const attrs = {};
+
+  for (const [name, value] of Object.entries(rawProps)) {
+    if (hasOwnProperty(definitions, name)) {
+      props[name] = value;
+    } else {
+      attrs[name] = value;
+    }
+  }
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    if (props[name] === undefined && hasOwnProperty(definition, 'default')) {
+      props[name] = defaultValue(definition);
+    }
+
+    if (isDevelopment()) {
+      validateProp(name, props[name], definition, componentName);
+    }
+  }
+
+  return { props, attrs };
+}
+
+function defaultValue({ type, default: value }) {
+  if (typeof value === 'function' && type !== Function) {
+    return value();
+  }
+
+  return value;
+}
+
+function validateProp(name, value, { type, required = false, validator }, componentName) {
+  if (value == null) {
+    if (required) {
+      warn(componentName, `Missing required prop "${name}"`);
+    }
+
+    return;
+  }
+
+  const types = type == null ? [] : [].concat(type);
+
+  if (types.length > 0 && !types.some((expectedType) => matchesType(value, expectedType))) {
+    const expected = types.map((expectedType) => expectedType.name).join(' | ');
+    warn(componentName, `Invalid prop "${name}": expected ${expected}, got ${describeType(value)}`);
+    return;
+  }
+
+  if (typeof validator === 'function' && !validator(value)) {
+    warn(componentName, `Invalid prop "${name}": custom validator check failed`);
+  }
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case String:
+      return typeof value === 'string';
+    case Number:
+      return typeof value === 'number';
+    case Boolean:
+      return typeof value === 'boolean';
+    case Function:
+      return typeof value === 'function';
+    case Symbol:
+      return typeof value === 'symbol';
+    case Array:
+      return Array.isArray(value);
+    case Object:
+      return typeof value === 'object' && !Array.isArray(value);
+    default:
+      return value instanceof type;
+  }
+}
+
+function describeType(value) {
+  if (Array.isArray(value)) {
+    return 'Array';
+  }
+
+  if (typeof value === 'object') {
+    return value.constructor?.name ?? 'Object';
+  }
+
+  const type = typeof value;
+  return type.charAt(0).toUpperCase() + type.slice(1);
+}
+
+export function warnUnknownProps(names, componentName) {
+  if (isDevelopment() && names.length > 0) {
+    const list = names.map((name) => `"${name}"`).join(', ');
+    warn(componentName, `Unknown props ${list}: they aren't declared in "props" and the component has no single root element to receive them`);
+  }
+}
+
+function warn(componentName, message) {
+  console.warn(`[props] <${componentName}>: ${message}`);
+}
+
+export function applyFallthroughAttrs(vdom, attrs) {
+  const { class: className, style, ...otherAttrs } = attrs;
+  const props = { ...vdom.props, ...otherAttrs };
+
+  if (className != null) {
+    props.class = [...toClassList(vdom.props.class), ...toClassList(className)];
+  }
+
+  if (style != null) {
+    props.style = { ...vdom.props.style, ...style };
+  }
+
+  vdom.props = props;
+}
+
+function toClassList(classes) {
+  return [].concat(classes ?? [])
+    .filter((className) => typeof className === 'string')
+    .flatMap((className) => className.split(/\s+/))
+    .filter(isNotBlankOrEmptyString);
+}
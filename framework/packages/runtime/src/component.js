@@ -1,16 +1,42 @@
 import { destroyDOM } from "./destroy-dom";
 import { Dispatcher } from "./dispatcher";
-import { DOM_TYPES, didCreateSlot, extractChildren, resetDidCreateSlot } from "./h";
+import { applyFallthroughAttrs, normalizePropsDefinitions, resolveProps, warnUnknownProps } from "./component-props";
+import { callWithErrorHandling, ERROR_PHASES, handleError } from "./errors";
+import { DOM_TYPES, didCreateSlot, domNodesOf, extractChildren, hString, resetDidCreateSlot, withOwner } from "./h";
+import { hydrateNode } from "./hydrate-dom";
 import { mountDOM } from "./mount-dom";
 import { patchDOM } from "./patch-dom";
-import { hasOwnProperty } from "./utils/objects";
+import { effectScope, ReactiveEffect } from "./reactivity";
+import { enqueueJob, enqueueRenderJob } from "./scheduler";
+import { isDevelopment } from "./utils/env";
+import { hasOwnProperty, shallowEqual } from "./utils/objects";
 import { fillSlots } from "./slots";
+import { childNodesOf } from "./transition-hooks";
 
 const emptyFn = () => {};
 
-export function defineComponent({ render, state, onMounted = emptyFn, onUnmounted = emptyFn, ...methods }) {
+export function defineComponent({
+  name,
+  props: propsDefinitions,
+  render,
+  state,
+  onMounted = emptyFn,
+  onUnmounted = emptyFn,
+  onBeforeUpdate = emptyFn,
+  onUpdated = emptyFn,
+  onActivated = emptyFn,
+  onDeactivated = emptyFn,
+  onErrorCaptured = emptyFn,
+  shouldUpdate = null,
+  pure = false,
+  ...methods
+}) {
+  const definitions = normalizePropsDefinitions(propsDefinitions);
+
   class Component {
     #isMounted = false;
+    #isDeactivated = false;
+    #detachedPortals = [];
     #vdom = null;
     #hostEl = null;
     #eventHandlers = null;
@@ -19,24 +45,64 @@ export function defineComponent({ render, state, onMounted = emptyFn, onUnmounte
     #subscriptions = [];
     #children = [];
     #appContext = null;
+    #depth = 0;
+    #isDirty = false;
+    #warnedUnknownProps = new Set();
+    #scope = effectScope();
+    #renderEffect = null;
+    #provides = new Map();
+    #hasNewContent = false;
+
+    attrs = {};
+    refs = {};
 
     setExternalContent(children) {
+      this.#hasNewContent = !isSameContent(this.#children, children);
       this.#children = children;
     }
 
+    get externalContent() {
+      return this.#children;
+    }
+
     constructor(props = {}, eventHandlers = {}, parentComponent = null) {
-      this.props = props;
-      this.state = state ? state(props) : {};
       this.#eventHandlers = eventHandlers;
       this.#parentComponent = parentComponent;
+      this.#depth = (parentComponent?.depth ?? -1) + 1;
+      this.#setProps(props);
+      this.state = this.#scope.run(() => state ? state.call(this, this.props) : {});
+      this.#renderEffect = this.#scope.run(() => new ReactiveEffect(
+        () => this.render(),
+        () => this.#scheduleUpdate()
+      ));
     }
 
     onMounted() {
-      return Promise.resolve(onMounted.call(this));
+      return Promise.resolve(
+        this.#scope.run(() => callWithErrorHandling(onMounted, this, ERROR_PHASES.MOUNTED))
+      );
     }
 
     onUnmounted() {
-      return Promise.resolve(onUnmounted.call(this));
+      return Promise.resolve(callWithErrorHandling(onUnmounted, this, ERROR_PHASES.UNMOUNTED));
+    }
+
+    onActivated() {
+      findChildComponents(this.#vdom).forEach((child) => child.onActivated());
+
+      return Promise.resolve(
+        this.#scope.run(() => callWithErrorHandling(onActivated, this, ERROR_PHASES.ACTIVATED))
+      );
+    }
+
+    onDeactivated() {
+      findChildComponents(this.#vdom).forEach((child) => child.onDeactivated());
+
+      return Promise.resolve(callWithErrorHandling(onDeactivated, this, ERROR_PHASES.DEACTIVATED));
+    }
+
+    onErrorCaptured(error, component, phase) {
+      return onErrorCaptured.call(this, error, component, phase);
     }
 
     setAppContext(appContext) {
@@ -44,7 +110,7 @@ export function defineComponent({ render, state, onMounted = emptyFn, onUnmounte
     }
 
     get appContext() {
-      return this.#appContext;
+      return this.#appContext ?? this.#parentComponent?.appContext ?? null;
     }
     
     get elements() {
@@ -52,17 +118,59 @@ export function defineComponent({ render, state, onMounted = emptyFn, onUnmounte
         return [];
       }
 
-      if (this.#vdom.type === DOM_TYPES.FRAGMENT) {
-        return extractChildren(this.#vdom).flatMap((child) => {
-          if (child.type === DOM_TYPES.COMPONENT) {
-            return child.component.elements;
-          }
+      return domNodesOf(this.#vdom);
+    }
 
-          return [child.el];
-        })
+    get portals() {
+      return findPortals(this.#vdom);
+    }
+
+    get isMounted() {
+      return this.#isMounted;
+    }
+
+    get parentComponent() {
+      return this.#parentComponent;
+    }
+
+    get depth() {
+      return this.#depth;
+    }
+
+    get routeData() {
+      for (let parent = this.#parentComponent; parent; parent = parent.parentComponent) {
+        if (typeof parent.getRouteData === 'function') {
+          return parent.getRouteData();
+        }
       }
 
-      return [this.#vdom.el];
+      return undefined;
+    }
+
+    provide(key, value) {
+      this.#provides.set(key, value);
+    }
+
+    isProviding(key) {
+      return this.#provides.has(key);
+    }
+
+    getProvided(key) {
+      return this.#provides.get(key);
+    }
+
+    inject(key, defaultValue) {
+      for (let parent = this.#parentComponent; parent; parent = parent.parentComponent) {
+        if (parent.isProviding?.(key)) {
+          return parent.getProvided(key);
+        }
+      }
+
+      if (defaultValue === undefined && isDevelopment()) {
+        console.warn(`[inject] <${Component.name}>: Nothing provided for "${String(key)}"`);
+      }
+
+      return defaultValue;
     }
 
     get firstElement() {
@@ -78,23 +186,92 @@ export function defineComponent({ render, state, onMounted = emptyFn, onUnmounte
     }
 
     updateProps(props) {
-      this.props = {...this.props, ...props};
-      this.#patch();
+      const next = this.#resolveProps({ ...this.props, ...this.attrs, ...props });
+      const shouldRender = this.#shouldUpdate(next, this.state);
+
+      this.props = next.props;
+      this.attrs = next.attrs;
+      this.#hasNewContent = false;
+
+      if (shouldRender) {
+        this.#patch();
+      }
+    }
+
+    #setProps(rawProps) {
+      const { props, attrs } = this.#resolveProps(rawProps);
+      this.props = props;
+      this.attrs = attrs;
+    }
+
+    #resolveProps(rawProps) {
+      if (definitions == null) {
+        return { props: rawProps, attrs: this.attrs };
+      }
+
+      return resolveProps(definitions, rawProps, Component.name);
+    }
+
+    #shouldUpdate({ props, attrs }, state) {
+      if (shouldUpdate) {
+        return callWithErrorHandling(shouldUpdate, this, ERROR_PHASES.SHOULD_UPDATE, [props, state]) !== false;
+      }
+
+      if (pure) {
+        return this.#hasNewContent
+          || !shallowEqual(this.props, props)
+          || !shallowEqual(this.attrs, attrs)
+          || !shallowEqual(this.state, state);
+      }
+
+      return true;
     }
 
     updateState(state) {
-      this.state = { ...this.state, ...state};
-      this.#patch();
+      const nextState = { ...this.state, ...state };
+      const shouldRender = this.#shouldUpdate({ props: this.props, attrs: this.attrs }, nextState);
+
+      this.state = nextState;
+
+      if (shouldRender) {
+        this.#scheduleUpdate();
+      }
     }
 
     render() {
-      const vdom = render.call(this);
-      if (didCreateSlot()) {
-        fillSlots(vdom, this.#children);
+      try {
+        let vdom = withOwner(this, () => render.call(this));
+        if (didCreateSlot()) {
+          vdom = fillSlots(vdom, this.#children);
+          resetDidCreateSlot();
+        }
+
+        this.#passAttrsThrough(vdom);
+
+        return vdom;
+      } catch (error) {
         resetDidCreateSlot();
+        handleError(error, this, ERROR_PHASES.RENDER);
+
+        return hString('');
+      }
+    }
+
+    #passAttrsThrough(vdom) {
+      const attrNames = Object.keys(this.attrs);
+
+      if (attrNames.length === 0) {
+        return;
+      }
+
+      if (vdom.type === DOM_TYPES.ELEMENT) {
+        applyFallthroughAttrs(vdom, this.attrs);
+        return;
       }
 
-      return vdom;
+      const unwarnedNames = attrNames.filter((attrName) => !this.#warnedUnknownProps.has(attrName));
+      unwarnedNames.forEach((attrName) => this.#warnedUnknownProps.add(attrName));
+      warnUnknownProps(unwarnedNames, Component.name);
     }
 
     mount(hostEl, index = null) {
@@ -102,7 +279,7 @@ export function defineComponent({ render, state, onMounted = emptyFn, onUnmounte
         throw new Error('Component is already mounted');
       }
 
-      this.#vdom = this.render();
+      this.#vdom = this.#renderEffect.run();
       mountDOM(this.#vdom, hostEl, index, this);
       this.#wireEventHandlers();
 
@@ -110,26 +287,114 @@ export function defineComponent({ render, state, onMounted = emptyFn, onUnmounte
       this.#hostEl = hostEl;
     }
 
+    hydrate(hostEl, domNode) {
+      if (this.#isMounted) {
+        throw new Error('Component is already mounted');
+      }
+
+      this.#vdom = this.#renderEffect.run();
+      const nextNode = hydrateNode(this.#vdom, hostEl, domNode, this);
+      this.#wireEventHandlers();
+
+      this.#isMounted = true;
+      this.#hostEl = hostEl;
+
+      return nextNode;
+    }
+
+    activate(hostEl, index = null) {
+      if (!this.#isDeactivated) {
+        throw new Error('Component is not deactivated');
+      }
+
+      const referenceNode = index == null ? null : childNodesOf(hostEl)[index] ?? null;
+      this.elements.forEach((el) => hostEl.insertBefore(el, referenceNode));
+      this.#detachedPortals.forEach(({ targetEl, nodes }) => targetEl.append(...nodes));
+      this.#detachedPortals = [];
+
+      this.#hostEl = hostEl;
+      this.#isDeactivated = false;
+
+      if (this.#isDirty) {
+        this.#patch();
+      }
+
+      enqueueJob(() => this.onActivated());
+    }
+
+    deactivate() {
+      if (!this.#isMounted) {
+        throw new Error('Component is not mounted');
+      }
+
+      this.elements.forEach((el) => el.remove());
+      this.#detachedPortals = this.portals.map(({ targetEl, targetAnchor, children }) => {
+        const nodes = [targetAnchor, ...children.flatMap(domNodesOf)];
+        nodes.forEach((node) => node.remove());
+
+        return { targetEl, nodes };
+      });
+      this.#isDeactivated = true;
+
+      enqueueJob(() => this.onDeactivated());
+    }
+
     unmount() {
       if (!this.#isMounted) {
         throw new Error('Component is not mounted');
       }
       destroyDOM(this.#vdom);
-      this.#subscriptions.forEach((unsubscribe) => unsubscribe());
+      this.dispose();
 
       this.#vdom = null;
       this.#isMounted = false;
+      this.#isDeactivated = false;
+      this.#isDirty = false;
       this.#hostEl = null;
       this.#subscriptions = [];
     }
 
+    dispose() {
+      this.#subscriptions.forEach((unsubscribe) => unsubscribe());
+      this.#scope.stop();
+    }
+
+    scheduleUpdate() {
+      this.#scheduleUpdate();
+    }
+
+    #scheduleUpdate() {
+      if (this.#isDirty) {
+        return;
+      }
+
+      this.#isDirty = true;
+      enqueueRenderJob(() => callWithErrorHandling(() => this.#flushUpdate(), this, ERROR_PHASES.RENDER), this.#depth);
+    }
+
+    #flushUpdate() {
+      if (!this.#isDirty || !this.#isMounted) {
+        this.#isDirty = false;
+        return;
+      }
+
+      if (this.#isDeactivated) {
+        return;
+      }
+
+      this.#patch();
+    }
+
     #patch() {
       if (!this.#isMounted) {
         throw new Error('Component is not mounted');
       }
 
-      const vdom = this.render();
+      this.#isDirty = false;
+      callWithErrorHandling(onBeforeUpdate, this, ERROR_PHASES.BEFORE_UPDATE);
+      const vdom = this.#renderEffect.run();
       this.#vdom = patchDOM(this.#vdom, vdom, this.#hostEl, this);
+      callWithErrorHandling(onUpdated, this, ERROR_PHASES.UPDATED);
     }
 
     #wireEventHandlers() {
@@ -141,11 +406,7 @@ export function defineComponent({ render, state, onMounted = emptyFn, onUnmounte
 
     #wireEventHandler(eventName, handler) {
       return this.#dispatcher.subscribe(eventName, (payload) => {
-        if (this.#parentComponent) {
-          handler.call(this.#parentComponent, payload);
-        } else {
-          handler(payload);
-        }
+        callWithErrorHandling(handler, this.#parentComponent, ERROR_PHASES.EVENT_HANDLER, [payload]);
       })
     }
 
@@ -154,6 +415,10 @@ export function defineComponent({ render, state, onMounted = emptyFn, onUnmounte
     }
   }
 
+  if (name) {
+    Object.defineProperty(Component, 'name', { value: name });
+  }
+
   for (const methodName in methods) {
     if (hasOwnProperty(Component, methodName)) {
       throw new Error(`Method "${methodName}()" already exists in the component.`);
@@ -163,4 +428,42 @@ export function defineComponent({ render, state, onMounted = emptyFn, onUnmounte
   }
 
   return Component;
+}
+
+function isSameContent(oldChildren, newChildren) {
+  return oldChildren === newChildren
+    || (oldChildren.length === 0 && newChildren.length === 0);
+}
+
+function findPortals(vdom) {
+  if (vdom == null) {
+    return [];
+  }
+
+  switch (vdom.type) {
+    case DOM_TYPES.PORTAL:
+      return [vdom, ...vdom.children.flatMap(findPortals)];
+    case DOM_TYPES.COMPONENT:
+      return vdom.component.portals;
+    case DOM_TYPES.FUNCTIONAL:
+      return findPortals(vdom.subtree);
+    default:
+      return extractChildren(vdom).flatMap(findPortals);
+  }
+}
+
+function findChildComponents(vdom) {
+  if (vdom == null) {
+    return [];
+  }
+
+  if (vdom.type === DOM_TYPES.COMPONENT) {
+    return [vdom.component];
+  }
+
+  if (vdom.type === DOM_TYPES.FUNCTIONAL) {
+    return findChildComponents(vdom.subtree);
+  }
+
+  return extractChildren(vdom).flatMap(findChildComponents);
 }
\ No newline at end of file
@@ -1,10 +1,24 @@
 import { removeEventListeners } from './events';
-import { DOM_TYPES } from './h';
+import { DOM_TYPES, mountedNodesOf } from './h';
+import { unbindModel } from './model';
+import { unsetRef } from './refs';
 import { enqueueJob } from './scheduler';
 
+let leavingDepth = 0;
+
 export function destroyDOM(vdom) {
+  if (vdom.transition && leavingDepth === 0) {
+    destroyLeavingDOM(vdom);
+  } else {
+    destroyNode(vdom);
+  }
+}
+
+function destroyNode(vdom) {
   const { type } = vdom;
 
+  unsetRef(vdom);
+
   switch (type) {
     case DOM_TYPES.TEXT: {
       removeTextNode(vdom);
@@ -21,7 +35,23 @@ export function destroyDOM(vdom) {
       break;
     }
 
+    case DOM_TYPES.PORTAL: {
+      removePortalNodes(vdom);
+      break;
+    }
+
+    case DOM_TYPES.FUNCTIONAL: {
+      vdom.renderEffect?.stop();
+      destroyDOM(vdom.subtree);
+      delete vdom.subtree;
+      break;
+    }
+
     case DOM_TYPES.COMPONENT: {
+      if (vdom.keepAlive?.cacheChild(vdom)) {
+        break;
+      }
+
       vdom.component.unmount();
       enqueueJob(() => vdom.component.onUnmounted());
       break;
@@ -35,16 +65,45 @@ export function destroyDOM(vdom) {
   delete vdom.el;
 }
 
+function destroyLeavingDOM(vdom) {
+  const leavingNodes = captureLeavingNodes(vdom);
+
+  leavingDepth++;
+  try {
+    destroyNode(vdom);
+  } finally {
+    leavingDepth--;
+  }
+
+  leavingNodes.forEach(({ el, parentEl, nextSibling }) => {
+    if (el.nodeType !== Node.ELEMENT_NODE) {
+      el.remove();
+      return;
+    }
+
+    if (el.parentNode !== parentEl) {
+      parentEl.insertBefore(el, nextSibling?.parentNode === parentEl ? nextSibling : null);
+    }
+    vdom.transition.leave(el, () => el.remove());
+  });
+}
+
+function captureLeavingNodes(vdom) {
+  return mountedNodesOf(vdom)
+    .filter((el) => el.isConnected)
+    .map((el) => ({ el, parentEl: el.parentNode, nextSibling: el.nextSibling }));
+}
+
 function removeTextNode(vdom) {
-  const { el } = vdom;
-  el.remove();
+  removeNode(vdom.el);
 }
 
 function removeElementNode(vdom) {
   const { el, children, listeners } = vdom;
 
-  el.remove();
+  removeNode(el);
   children.forEach(destroyDOM);
+  unbindModel(vdom);
 
   if (listeners) {
     removeEventListeners(listeners, el);
@@ -55,4 +114,27 @@ function removeElementNode(vdom) {
 function removeFragmentNodes(vdom) {
   const { children } = vdom;
   children.forEach(destroyDOM);
-}
\ No newline at end of file
+}
+function removePortalNodes(vdom) {
+  const { el, children, targetAnchor } = vdom;
+  const parentLeavingDepth = leavingDepth;
+
+  leavingDepth = 0;
+  try {
+    children.forEach(destroyDOM);
+  } finally {
+    leavingDepth = parentLeavingDepth;
+  }
+
+  targetAnchor.remove();
+  removeNode(el);
+
+  delete vdom.targetEl;
+  delete vdom.targetAnchor;
+}
+
+function removeNode(el) {
+  if (leavingDepth === 0) {
+    el?.remove();
+  }
+}
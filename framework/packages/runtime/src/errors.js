@@ -0,0 +1,59 @@
+export const ERROR_PHASES = {
+  RENDER: 'render',
+  EVENT_HANDLER: 'event handler',
+  MOUNTED: 'onMounted',
+  UNMOUNTED: 'onUnmounted',
+  BEFORE_UPDATE: 'onBeforeUpdate',
+  UPDATED: 'onUpdated',
+  ACTIVATED: 'onActivated',
+  DEACTIVATED: 'onDeactivated',
+  SHOULD_UPDATE: 'shouldUpdate',
+  REF: 'ref',
+};
+
+export function callWithErrorHandling(fn, component, phase, args = []) {
+  try {
+    const result = fn.apply(component, args);
+
+    if (typeof result?.then === 'function') {
+      return result.then(undefined, (error) => handleError(error, component, phase));
+    }
+
+    return result;
+  } catch (error) {
+    handleError(error, component, phase);
+  }
+}
+
+export function handleError(error, component, phase) {
+  let current = component;
+
+  while (current?.parentComponent) {
+    current = current.parentComponent;
+
+    if (captureError(current, error, component, phase)) {
+      return;
+    }
+  }
+
+  const onError = current?.onError;
+
+  if (typeof onError === 'function') {
+    onError(error, component, phase);
+  } else {
+    console.error(`[component] Unhandled error during ${phase}:`, error);
+  }
+}
+
+function captureError(boundary, error, component, phase) {
+  if (typeof boundary.onErrorCaptured !== 'function') {
+    return false;
+  }
+
+  try {
+    return boundary.onErrorCaptured(error, component, phase) === false;
+  } catch (boundaryError) {
+    console.error(`[component] Error in onErrorCaptured:`, boundaryError);
+    return false;
+  }
+}
@@ -1,6 +1,8 @@
+import { callWithErrorHandling, ERROR_PHASES } from "./errors";
+
 export function addEventListener(eventName, handler, el, hostComponent = null) {
-  function boundHandler() {
-    hostComponent ? handler.apply(hostComponent, arguments) : handler(...arguments);
+  function boundHandler(...args) {
+    return callWithErrorHandling(handler, hostComponent, ERROR_PHASES.EVENT_HANDLER, args);
   }
 
   el.addEventListener(eventName, boundHandler);
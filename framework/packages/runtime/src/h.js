@@ -6,16 +6,63 @@ export const DOM_TYPES = {
   FRAGMENT: "fragment",
   COMPONENT: "component",
   SLOT: "slot",
+  PORTAL: "portal",
+  FUNCTIONAL: "functional",
 };
 
+export const DEFAULT_SLOT = 'default';
+
+let currentOwner = null;
+
+export function withOwner(owner, render) {
+  const previousOwner = currentOwner;
+  currentOwner = owner;
+
+  try {
+    return render();
+  } finally {
+    currentOwner = previousOwner;
+  }
+}
+
 export function h(tag, props = {}, children = []) {
-  const type = typeof tag === 'string' ? DOM_TYPES.ELEMENT : DOM_TYPES.COMPONENT;
-  return {
+  const vdom = {
     tag,
     props,
-    type,
-    children: mapTextNodes(withoutNulls(children)),
+    type: typeOfTag(tag),
+    children: Array.isArray(children) ? mapTextNodes(withoutNulls(children)) : bindSlotsToOwner(children),
   };
+
+  if (currentOwner) {
+    vdom.owner = currentOwner;
+  }
+
+  return vdom;
+}
+
+function bindSlotsToOwner(slots) {
+  if (!currentOwner || slots == null || typeof slots !== 'object') {
+    return slots;
+  }
+
+  const owner = currentOwner;
+
+  return Object.fromEntries(Object.entries(slots).map(([name, content]) => [
+    name,
+    typeof content === 'function' ? (props) => withOwner(owner, () => content(props)) : content,
+  ]));
+}
+
+function typeOfTag(tag) {
+  if (typeof tag === 'string') {
+    return DOM_TYPES.ELEMENT;
+  }
+
+  return isComponentClass(tag) ? DOM_TYPES.COMPONENT : DOM_TYPES.FUNCTIONAL;
+}
+
+export function isComponentClass(value) {
+  return typeof value === 'function' && typeof value.prototype?.mount === 'function';
 }
 
 export function hString(str) {
@@ -29,6 +76,24 @@ export function hFragment(vNodes) {
   };
 }
 
+export function hMemo(deps, render, key) {
+  return {
+    type: DOM_TYPES.FUNCTIONAL,
+    tag: render,
+    props: key == null ? {} : { key },
+    children: [],
+    deps,
+  };
+}
+
+export function hPortal(target, vNodes = []) {
+  return {
+    type: DOM_TYPES.PORTAL,
+    target,
+    children: mapTextNodes(withoutNulls(vNodes)),
+  };
+}
+
 function mapTextNodes(children) {
   return children.map((child) => {
     return typeof child === "string" ? hString(child) : child;
@@ -53,6 +118,39 @@ export function extractChildren(vdom) {
   return children;
 }
 
+export function elementsOf(vdom) {
+  return mountedNodesOf(vdom).filter((node) => node.nodeType === Node.ELEMENT_NODE);
+}
+
+export function mountedNodesOf(vdom) {
+  if (vdom.type === DOM_TYPES.COMPONENT) {
+    return vdom.component?.elements ?? [];
+  }
+
+  if (vdom.type === DOM_TYPES.FUNCTIONAL) {
+    return vdom.subtree ? mountedNodesOf(vdom.subtree) : [];
+  }
+
+  if (vdom.type === DOM_TYPES.FRAGMENT) {
+    return extractChildren(vdom).flatMap(mountedNodesOf);
+  }
+
+  return vdom.el ? [vdom.el] : [];
+}
+
+export function domNodesOf(vdom) {
+  switch (vdom.type) {
+    case DOM_TYPES.COMPONENT:
+      return vdom.component.elements;
+    case DOM_TYPES.FUNCTIONAL:
+      return domNodesOf(vdom.subtree);
+    case DOM_TYPES.FRAGMENT:
+      return extractChildren(vdom).flatMap(domNodesOf);
+    default:
+      return [vdom.el];
+  }
+}
+
 let hSlotCalled = false;
 
 export function didCreateSlot() {
@@ -63,11 +161,20 @@ export function resetDidCreateSlot() {
   hSlotCalled = false;
 }
 
-export function hSlot(children = []) {
+export function hSlot(name = DEFAULT_SLOT, props = {}, fallback = []) {
+  if (Array.isArray(name)) {
+    return hSlot(DEFAULT_SLOT, {}, name);
+  }
+
   hSlotCalled = true;
-  return { type: DOM_TYPES.SLOT, children};
+  return {
+    type: DOM_TYPES.SLOT,
+    name,
+    props,
+    children: mapTextNodes(withoutNulls(fallback)),
+  };
 }
 
 export function isComponent({ tag }) {
-  return typeof tag === 'function';
+  return isComponentClass(tag);
 }
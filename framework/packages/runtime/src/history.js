@@ -0,0 +1,175 @@
+import { getScrollPosition } from "./scroll";
+
+export function createHashHistory() {
+  return createBrowserHistory({
+    readLocation: () => window.location.hash.slice(1) || '/',
+    createHref: (path) => `#${path}`,
+  });
+}
+
+export function createWebHistory(base = '') {
+  const normalizedBase = normalizeBase(base);
+
+  return createBrowserHistory({
+    readLocation() {
+      const { pathname, search, hash } = window.location;
+      const path = pathname.startsWith(normalizedBase)
+        ? pathname.slice(normalizedBase.length)
+        : pathname;
+
+      return `${path || '/'}${search}${hash}`;
+    },
+    createHref: (path) => `${normalizedBase}${path}`,
+    base: normalizedBase,
+  });
+}
+
+function normalizeBase(base) {
+  const trimmedBase = base.replace(/\/+$/, '');
+
+  if (trimmedBase === '') {
+    return '';
+  }
+
+  return trimmedBase.startsWith('/') ? trimmedBase : `/${trimmedBase}`;
+}
+
+function createBrowserHistory({ readLocation, createHref, base = null }) {
+  const listeners = new Set();
+  let position = 0;
+  let ignoredPopStates = 0;
+
+  function onPopState(event) {
+    if (ignoredPopStates > 0) {
+      ignoredPopStates--;
+      position = event.state?.position ?? position;
+      return;
+    }
+
+    const nextPosition = event.state?.position ?? position + 1;
+    const delta = nextPosition - position;
+    position = nextPosition;
+
+    if (event.state?.position == null) {
+      window.history.replaceState({ ...event.state, position }, '');
+    }
+
+    listeners.forEach((listener) => listener(readLocation(), { delta }));
+  }
+
+  return {
+    base,
+
+    get location() {
+      return readLocation();
+    },
+
+    get position() {
+      return position;
+    },
+
+    init() {
+      position = window.history.state?.position ?? 0;
+      window.history.replaceState({ ...window.history.state, position }, '', createHref(readLocation()));
+      window.addEventListener('popstate', onPopState);
+    },
+
+    destroy() {
+      window.removeEventListener('popstate', onPopState);
+      listeners.clear();
+    },
+
+    push(path) {
+      position++;
+      window.history.pushState({ position }, '', createHref(path));
+    },
+
+    replace(path) {
+      window.history.replaceState({ ...window.history.state, position }, '', createHref(path));
+    },
+
+    go(delta, { silent = false } = {}) {
+      if (silent) {
+        ignoredPopStates++;
+      }
+
+      window.history.go(delta);
+    },
+
+    listen(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    createHref,
+
+    disableScrollRestoration() {
+      if ('scrollRestoration' in window.history) {
+        window.history.scrollRestoration = 'manual';
+      }
+    },
+
+    readScrollPosition: getScrollPosition,
+  };
+}
+
+export function createMemoryHistory(initialPath = '/') {
+  const listeners = new Set();
+  let entries = [initialPath];
+  let position = 0;
+
+  return {
+    base: null,
+
+    get location() {
+      return entries[position];
+    },
+
+    get position() {
+      return position;
+    },
+
+    init() {},
+
+    destroy() {
+      listeners.clear();
+    },
+
+    push(path) {
+      entries = [...entries.slice(0, position + 1), path];
+      position++;
+    },
+
+    replace(path) {
+      entries[position] = path;
+    },
+
+    go(delta, { silent = false } = {}) {
+      const nextPosition = Math.min(Math.max(position + delta, 0), entries.length - 1);
+
+      if (nextPosition === position) {
+        return;
+      }
+
+      const actualDelta = nextPosition - position;
+      position = nextPosition;
+
+      if (!silent) {
+        listeners.forEach((listener) => listener(entries[position], { delta: actualDelta }));
+      }
+    },
+
+    listen(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    createHref: (path) => path,
+
+    disableScrollRestoration() {},
+
+    readScrollPosition() {
+      return typeof window === 'undefined' ? null : getScrollPosition();
+    },
+  };
+}
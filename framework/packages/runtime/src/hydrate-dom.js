@@ -0,0 +1,260 @@
+import { serializeAttributes } from "./attributes";
+import { addEventListeners } from "./events";
+import { DOM_TYPES, domNodesOf } from "./h";
+import { bindModel, modelAttributes } from "./model";
+import { createComponent, mountDOM, renderFunctionalComponent } from "./mount-dom";
+import { setRef } from "./refs";
+import { enqueueJob } from "./scheduler";
+import { isDevelopment } from "./utils/env";
+import { extractPropsAndEvents } from "./utils/props";
+import { isNotBlankOrEmptyString } from "./utils/strings";
+
+export function hydrateDOM(vdom, parentEl, hostComponent = null) {
+  const nextNode = hydrateNode(vdom, parentEl, parentEl.firstChild, hostComponent);
+  removeUnclaimedNodes(parentEl, nextNode);
+}
+
+export function hydrateNode(vdom, parentEl, domNode, hostComponent = null) {
+  domNode = skipIgnorableNodes(domNode, vdom);
+
+  switch (vdom.type) {
+    case DOM_TYPES.TEXT: {
+      return hydrateTextNode(vdom, parentEl, domNode);
+    }
+
+    case DOM_TYPES.ELEMENT: {
+      return hydrateElementNode(vdom, parentEl, domNode, hostComponent);
+    }
+
+    case DOM_TYPES.FRAGMENT: {
+      return hydrateFragmentNodes(vdom, parentEl, domNode, hostComponent);
+    }
+
+    case DOM_TYPES.FUNCTIONAL: {
+      vdom.subtree = renderFunctionalComponent(vdom, hostComponent);
+      const nextNode = hydrateNode(vdom.subtree, parentEl, domNode, hostComponent);
+      vdom.el = domNodesOf(vdom.subtree)[0];
+      return nextNode;
+    }
+
+    case DOM_TYPES.PORTAL: {
+      mountDOM(vdom, parentEl, indexInParent(parentEl, domNode), hostComponent);
+      return domNode;
+    }
+
+    case DOM_TYPES.COMPONENT: {
+      const nextNode = hydrateComponentNode(vdom, parentEl, domNode, hostComponent);
+      enqueueJob(() => vdom.component.onMounted());
+      return nextNode;
+    }
+
+    default: {
+      throw new Error(`Can't hydrate DOM of type: ${vdom.type}`);
+    }
+  }
+}
+
+function hydrateTextNode(vdom, parentEl, domNode) {
+  const { value } = vdom;
+
+  if (value === '') {
+    mountDOM(vdom, parentEl, indexInParent(parentEl, domNode));
+    return domNode;
+  }
+
+  if (domNode?.nodeType !== Node.TEXT_NODE) {
+    return replaceMismatchedNode(vdom, parentEl, domNode, null, `expected text "${value}"`);
+  }
+
+  if (domNode.nodeValue !== value) {
+    if (domNode.nodeValue.startsWith(value)) {
+      domNode.splitText(value.length);
+    } else {
+      reportMismatch(parentEl, `expected text "${value}", found "${domNode.nodeValue}"`);
+      domNode.nodeValue = value;
+    }
+  }
+
+  vdom.el = domNode;
+
+  return domNode.nextSibling;
+}
+
+function hydrateElementNode(vdom, parentEl, domNode, hostComponent) {
+  const { tag, children } = vdom;
+
+  if (!isElementWithTag(domNode, tag)) {
+    return replaceMismatchedNode(vdom, parentEl, domNode, hostComponent, `expected <${tag}>`);
+  }
+
+  const { props, events } = extractPropsAndEvents(vdom);
+  hydrateAttributes(vdom, { ...props, ...modelAttributes(vdom, hostComponent) }, domNode, parentEl);
+  vdom.el = domNode;
+  vdom.listeners = addEventListeners(events, domNode, hostComponent);
+
+  let childNode = domNode.firstChild;
+  for (const child of children) {
+    childNode = hydrateNode(child, domNode, childNode, hostComponent);
+  }
+  removeUnclaimedNodes(domNode, childNode);
+  bindModel(vdom, hostComponent);
+  setRef(vdom, hostComponent);
+
+  return domNode.nextSibling;
+}
+
+function hydrateAttributes(vdom, attrs, domNode, parentEl) {
+  if (vdom.tag === 'textarea') {
+    delete attrs.value;
+  }
+
+  const expected = serializeAttributes(attrs);
+  const names = new Set([...Object.keys(expected), ...domNode.getAttributeNames()]);
+
+  for (const name of names) {
+    const value = expected[name] === true ? '' : expected[name] ?? null;
+    const found = domNode.getAttribute(name);
+
+    if (isSameAttribute(name, value, found)) {
+      continue;
+    }
+
+    reportMismatch(parentEl, `expected ${name} ${describeValue(value)} on <${vdom.tag}>, found ${describeValue(found)}`);
+
+    if (value == null) {
+      domNode.removeAttribute(name);
+    } else {
+      domNode.setAttribute(name, value);
+    }
+  }
+}
+
+function isSameAttribute(name, value, found) {
+  if (value == null || found == null) {
+    return value === found;
+  }
+
+  if (name === 'class') {
+    return toSortedClasses(value) === toSortedClasses(found);
+  }
+
+  if (name === 'style') {
+    return normalizeStyle(value) === normalizeStyle(found);
+  }
+
+  return value === found;
+}
+
+function toSortedClasses(className) {
+  return className.split(/\s+/).filter(isNotBlankOrEmptyString).sort().join(' ');
+}
+
+function normalizeStyle(cssText) {
+  const el = document.createElement('div');
+  el.style.cssText = cssText;
+
+  return Array.from(el.style, (name) => `${name}: ${el.style.getPropertyValue(name)}`).sort().join('; ');
+}
+
+function describeValue(value) {
+  return value == null ? 'nothing' : `"${value}"`;
+}
+
+function hydrateFragmentNodes(vdom, parentEl, domNode, hostComponent) {
+  const { children } = vdom;
+  vdom.el = parentEl;
+
+  for (const child of children) {
+    domNode = hydrateNode(child, parentEl, domNode, hostComponent);
+  }
+
+  return domNode;
+}
+
+function hydrateComponentNode(vdom, parentEl, domNode, hostComponent) {
+  const component = createComponent(vdom, hostComponent);
+
+  const nextNode = component.hydrate(parentEl, domNode);
+  vdom.component = component;
+  vdom.el = component.firstElement;
+  setRef(vdom, hostComponent);
+
+  return nextNode;
+}
+
+function replaceMismatchedNode(vdom, parentEl, domNode, hostComponent, message) {
+  const found = domNode ? describeNode(domNode) : 'nothing';
+  reportMismatch(parentEl, `${message}, found ${found}`);
+
+  mountDOM(vdom, parentEl, indexInParent(parentEl, domNode), hostComponent);
+
+  if (domNode == null) {
+    return null;
+  }
+
+  const nextNode = domNode.nextSibling;
+  domNode.remove();
+
+  return nextNode;
+}
+
+function removeUnclaimedNodes(parentEl, domNode) {
+  while (domNode) {
+    const nextNode = domNode.nextSibling;
+
+    if (!isIgnorable(domNode)) {
+      reportMismatch(parentEl, `unexpected ${describeNode(domNode)}`);
+    }
+
+    domNode.remove();
+    domNode = nextNode;
+  }
+}
+
+function skipIgnorableNodes(domNode, vdom) {
+  while (domNode && isIgnorable(domNode) && vdom.type !== DOM_TYPES.TEXT) {
+    const nextNode = domNode.nextSibling;
+    domNode.remove();
+    domNode = nextNode;
+  }
+
+  return domNode;
+}
+
+function isIgnorable(domNode) {
+  if (domNode.nodeType === Node.COMMENT_NODE) {
+    return true;
+  }
+
+  return domNode.nodeType === Node.TEXT_NODE && domNode.nodeValue.trim() === '';
+}
+
+function isElementWithTag(domNode, tag) {
+  return domNode?.nodeType === Node.ELEMENT_NODE
+    && domNode.tagName.toLowerCase() === tag.toLowerCase();
+}
+
+function indexInParent(parentEl, domNode) {
+  if (domNode == null) {
+    return null;
+  }
+
+  return Array.from(parentEl.childNodes).indexOf(domNode);
+}
+
+function describeNode(domNode) {
+  if (domNode.nodeType === Node.ELEMENT_NODE) {
+    return `<${domNode.tagName.toLowerCase()}>`;
+  }
+
+  return `text "${domNode.nodeValue}"`;
+}
+
+function reportMismatch(parentEl, message) {
+  if (!isDevelopment()) {
+    return;
+  }
+
+  const parentTag = parentEl.tagName?.toLowerCase() ?? 'root';
+  console.warn(`[hydration] Mismatch inside <${parentTag}>: ${message}`);
+}
@@ -1,7 +1,13 @@
 export { createApp } from './app.js';
 export { defineComponent } from './component.js';
-export { DOM_TYPES, h, hFragment, hSlot, hString } from './h.js';
+export { ERROR_PHASES } from './errors.js';
+export { DOM_TYPES, h, hFragment, hMemo, hPortal, hSlot, hString } from './h.js';
+export { computed, effect, signal, watch } from './reactivity.js';
+export { KeepAlive } from './keep-alive.js';
+export { renderToString } from './render-to-string.js';
 export { RouterLink, RouterOutlet } from './router-components.js';
-export { HashRouter } from './router.js';
-export { nextTick } from './scheduler.js';
+export { HashRouter, HistoryRouter, LOADING_STATUS, MemoryRouter } from './router.js';
+export { nextTick, flushSync } from './scheduler.js';
+export { createStore } from './store.js';
+export { Transition, TransitionGroup } from './transition.js';
 export { enqueueJob } from './scheduler.js';
\ No newline at end of file
@@ -0,0 +1,116 @@
+import { defineComponent } from "./component";
+import { DOM_TYPES, hString } from "./h";
+import { enqueueJob } from "./scheduler";
+import { extractPropsAndEvents } from "./utils/props";
+
+export const KeepAlive = defineComponent({
+  name: 'KeepAlive',
+
+  props: {
+    include: [String, RegExp, Array],
+    exclude: [String, RegExp, Array],
+    max: { type: Number, default: Infinity },
+  },
+
+  state() {
+    return {
+      cache: new Map(),
+    }
+  },
+
+  onUnmounted() {
+    this.pruneCache(0);
+  },
+
+  cacheChild(vdom) {
+    const { cache } = this.state;
+    const key = getCacheKey(vdom);
+    const cached = cache.get(key);
+
+    if (cached && cached !== vdom.component) {
+      destroyCachedComponent(cached);
+    }
+
+    vdom.component.deactivate();
+    cache.delete(key);
+    cache.set(key, vdom.component);
+    this.pruneCache(this.props.max);
+
+    return true;
+  },
+
+  restoreChild(vdom, parentEl, index) {
+    const { cache } = this.state;
+    const key = getCacheKey(vdom);
+    const component = cache.get(key);
+
+    if (!component) {
+      return false;
+    }
+
+    cache.delete(key);
+    component.setExternalContent(vdom.children);
+    component.activate(parentEl, index);
+    component.updateProps(extractPropsAndEvents(vdom).props);
+
+    vdom.component = component;
+    vdom.el = component.firstElement;
+
+    return true;
+  },
+
+  pruneCache(max) {
+    const { cache } = this.state;
+
+    for (const [key, component] of cache) {
+      if (cache.size <= max) {
+        return;
+      }
+
+      cache.delete(key);
+      destroyCachedComponent(component);
+    }
+  },
+
+  shouldCache({ tag }) {
+    const { include, exclude } = this.props;
+    const name = tag.name;
+
+    if (include != null && !matchesName(include, name)) {
+      return false;
+    }
+
+    return exclude == null || !matchesName(exclude, name);
+  },
+
+  render() {
+    const child = this.externalContent.find((vdom) => vdom?.type === DOM_TYPES.COMPONENT);
+
+    if (!child) {
+      return hString('');
+    }
+
+    return { ...child, keepAlive: this.shouldCache(child) ? this : null };
+  },
+})
+
+function getCacheKey(vdom) {
+  return vdom.props.key ?? vdom.tag;
+}
+
+function destroyCachedComponent(component) {
+  component.unmount();
+  enqueueJob(() => component.onUnmounted());
+}
+
+function matchesName(pattern, name) {
+  if (Array.isArray(pattern)) {
+    return pattern.some((item) => matchesName(item, name));
+  }
+
+  if (pattern instanceof RegExp) {
+    return pattern.test(name);
+  }
+
+  return pattern.split(',').map((item) => item.trim()).includes(name);
+}
@@ -0,0 +1,274 @@
+import { addEventListener } from "./events";
+import { isDevelopment } from "./utils/env";
+import { hasOwnProperty } from "./utils/objects";
+
+const MODEL_PROP = 'modelValue';
+const MODEL_EVENT = 'update:modelValue';
+
+export function bindModel(vdom, hostComponent) {
+  const model = vdom.props?.model;
+
+  if (model == null) {
+    return;
+  }
+
+  const binding = createBinding(vdom, model, hostComponent);
+  warnIfNotInState(binding);
+  binding.eventName = eventNameOf(binding);
+  binding.listener = addEventListener(binding.eventName, (event) => onModelEvent(binding, event), vdom.el, binding.owner);
+
+  vdom.modelBinding = binding;
+  syncElement(vdom.el, binding);
+}
+
+export function patchModel(oldVdom, newVdom, hostComponent) {
+  const binding = oldVdom.modelBinding;
+
+  if (binding == null || newVdom.props?.model == null) {
+    unbindModel(oldVdom);
+    bindModel(newVdom, hostComponent);
+    return;
+  }
+
+  Object.assign(binding, createBinding(newVdom, newVdom.props.model, hostComponent));
+
+  if (eventNameOf(binding) !== binding.eventName) {
+    unbindModel(oldVdom);
+    bindModel(newVdom, hostComponent);
+    return;
+  }
+
+  newVdom.modelBinding = binding;
+  syncElement(newVdom.el, binding);
+}
+
+export function unbindModel(vdom) {
+  const binding = vdom.modelBinding;
+
+  if (binding == null) {
+    return;
+  }
+
+  vdom.el?.removeEventListener(binding.eventName, binding.listener);
+  delete vdom.modelBinding;
+}
+
+export function applyComponentModel(vdom, props, events, hostComponent) {
+  const model = vdom.props?.model;
+
+  if (model == null) {
+    return;
+  }
+
+  const binding = vdom.modelBinding ?? {};
+  const isNew = vdom.modelBinding == null;
+  Object.assign(binding, createBinding(vdom, model, hostComponent));
+  vdom.modelBinding = binding;
+
+  if (isNew) {
+    warnIfNotInState(binding);
+  }
+
+  props[MODEL_PROP] = readModel(binding);
+  events[MODEL_EVENT] = (value) => writeModel(binding, value);
+}
+
+export function modelAttributes(vdom, hostComponent) {
+  const model = vdom.props?.model;
+
+  if (model == null) {
+    return {};
+  }
+
+  const binding = createBinding(vdom, model, hostComponent);
+  const value = readModel(binding);
+
+  switch (binding.type) {
+    case 'checkbox':
+      return { checked: isChecked(vdom, value) };
+    case 'radio':
+      return { checked: isSameValue(vdom.props.value, value) };
+    case 'text':
+      return { value: value ?? '' };
+    default:
+      return {};
+  }
+}
+
+function createBinding(vdom, model, hostComponent) {
+  const { key, lazy = false, trim = false, number = false } = typeof model === 'string'
+    ? { key: model }
+    : model;
+
+  return { owner: vdom.owner ?? hostComponent, key, lazy, trim, number, vdom, type: modelTypeOf(vdom) };
+}
+
+function warnIfNotInState({ owner, key }) {
+  if (isDevelopment() && !hasOwnProperty(owner?.state ?? {}, key)) {
+    console.warn(`[model] <${owner?.constructor?.name ?? 'root'}>: "${key}" is not in the state`);
+  }
+}
+
+function modelTypeOf(vdom) {
+  const { tag, props } = vdom;
+
+  if (tag === 'select') {
+    return props.multiple ? 'select-multiple' : 'select';
+  }
+
+  if (tag === 'input' && (props.type === 'checkbox' || props.type === 'radio')) {
+    return props.type;
+  }
+
+  return 'text';
+}
+
+function eventNameOf({ type, lazy }) {
+  return type === 'text' && !lazy ? 'input' : 'change';
+}
+
+function readModel({ owner, key }) {
+  return owner?.state?.[key];
+}
+
+function writeModel({ owner, key, trim, number }, value) {
+  if (trim && typeof value === 'string') {
+    value = value.trim();
+  }
+
+  if (number) {
+    value = Array.isArray(value) ? value.map(toNumber) : toNumber(value);
+  }
+
+  owner?.updateState({ [key]: value });
+}
+
+function onModelEvent(binding, event) {
+  const el = event.target;
+  const { type, vdom } = binding;
+
+  switch (type) {
+    case 'checkbox': {
+      const value = readModel(binding);
+
+      if (Array.isArray(value)) {
+        const optionValue = valueOf(vdom, el);
+        const others = value.filter((item) => !isSameValue(item, optionValue));
+        writeModel(binding, el.checked ? [...others, optionValue] : others);
+      } else {
+        writeModel(binding, el.checked);
+      }
+      break;
+    }
+
+    case 'radio': {
+      if (el.checked) {
+        writeModel(binding, valueOf(vdom, el));
+      }
+      break;
+    }
+
+    case 'select': {
+      writeModel(binding, el.value);
+      break;
+    }
+
+    case 'select-multiple': {
+      writeModel(binding, Array.from(el.selectedOptions, (option) => option.value));
+      break;
+    }
+
+    default: {
+      writeModel(binding, el.value);
+    }
+  }
+}
+
+function syncElement(el, binding) {
+  const value = readModel(binding);
+
+  switch (binding.type) {
+    case 'checkbox': {
+      el.checked = isChecked(binding.vdom, value);
+      break;
+    }
+
+    case 'radio': {
+      el.checked = isSameValue(valueOf(binding.vdom, el), value);
+      break;
+    }
+
+    case 'select': {
+      Array.from(el.options).forEach((option) => {
+        option.selected = isSameValue(option.value, value);
+      });
+      break;
+    }
+
+    case 'select-multiple': {
+      const values = Array.isArray(value) ? value : [];
+      Array.from(el.options).forEach((option) => {
+        option.selected = values.some((item) => isSameValue(option.value, item));
+      });
+      break;
+    }
+
+    default: {
+      syncText(el, value, binding);
+    }
+  }
+}
+
+function syncText(el, value, { lazy, trim, number }) {
+  const newValue = value == null ? '' : String(value);
+
+  if (el.value === newValue) {
+    return;
+  }
+
+  if (el.ownerDocument.activeElement === el) {
+    if (lazy) {
+      return;
+    }
+
+    if (trim && el.value.trim() === newValue) {
+      return;
+    }
+
+    if (number && toNumber(el.value) === value) {
+      return;
+    }
+
+    const { selectionStart, selectionEnd } = el;
+    el.value = newValue;
+
+    if (selectionStart != null) {
+      el.setSelectionRange(Math.min(selectionStart, newValue.length), Math.min(selectionEnd, newValue.length));
+    }
+    return;
+  }
+
+  el.value = newValue;
+}
+
+function isChecked(vdom, value) {
+  if (Array.isArray(value)) {
+    return value.some((item) => isSameValue(item, vdom.props.value ?? 'on'));
+  }
+
+  return Boolean(value);
+}
+
+function valueOf(vdom, el) {
+  return vdom.props.value ?? el.value;
+}
+
+function isSameValue(a, b) {
+  return a == null || b == null ? a === b : String(a) === String(b);
+}
+
+function toNumber(value) {
+  const number = Number.parseFloat(value);
+
+  return Number.isNaN(number) ? value : number;
+}
@@ -1,7 +1,12 @@
 import { setAttributes } from "./attributes";
 import { addEventListeners } from "./events";
-import { DOM_TYPES } from "./h";
+import { callWithErrorHandling, ERROR_PHASES, handleError } from "./errors";
+import { DOM_TYPES, domNodesOf, elementsOf, hFragment, hString, withOwner } from "./h";
+import { applyComponentModel, bindModel } from "./model";
+import { ReactiveEffect } from "./reactivity";
+import { setRef } from "./refs";
 import { enqueueJob } from "./scheduler";
+import { childNodesOf } from "./transition-hooks";
 import { extractPropsAndEvents } from "./utils/props";
 
 export function mountDOM(vdom, parentEl, index, hostComponent = null) {
@@ -21,9 +26,27 @@ export function mountDOM(vdom, parentEl, index, hostComponent = null) {
       break;
     }
 
+    case DOM_TYPES.PORTAL: {
+      createPortalNodes(vdom, parentEl, index, hostComponent);
+      break;
+    }
+
+    case DOM_TYPES.FUNCTIONAL: {
+      createFunctionalNode(vdom, parentEl, index, hostComponent);
+      break;
+    }
+
     case DOM_TYPES.COMPONENT: {
+      if (vdom.keepAlive?.restoreChild(vdom, parentEl, index)) {
+        break;
+      }
+
       createComponentNode(vdom, parentEl, index, hostComponent);
       enqueueJob(() => vdom.component.onMounted());
+
+      if (vdom.keepAlive) {
+        enqueueJob(() => vdom.component.onActivated());
+      }
       break;
     }
 
@@ -31,8 +54,15 @@ export function mountDOM(vdom, parentEl, index, hostComponent = null) {
       throw new Error(`Can't mount DOM of type: ${vdom.type}`);
     }
   }
+
+  setRef(vdom, hostComponent);
+
+  if (vdom.transition) {
+    elementsOf(vdom).forEach((el) => vdom.transition.enter(el));
+  }
 }
 
+
 function insert(el, parentEl, index) {
   if (index == null) {
     parentEl.append(el);
@@ -43,7 +73,7 @@ function insert(el, parentEl, index) {
     throw new Error(`Index must be a positive integer, got ${index}`);
   };
 
-  const children = parentEl.childNodes;
+  const children = childNodesOf(parentEl);
 
   if (index >= children.length) {
     parentEl.append(el);
@@ -69,6 +99,7 @@ function createElementNode(vdom, parentEl, index, hostComponent) {
   vdom.el = element;
 
   children.forEach((child) => mountDOM(child, element, null, hostComponent));
+  bindModel(vdom, hostComponent);
   insert(element, parentEl, index);
 }
 
@@ -95,7 +126,8 @@ function createFragmentNodes(vdom, parentEl, index, hostComponent) {
         index += child.children.length;
         break;
       case DOM_TYPES.COMPONENT:
-        index += child.component.elements.length;
+      case DOM_TYPES.FUNCTIONAL:
+        index += domNodesOf(child).length;
         break;
       default:
         index++;
@@ -103,14 +135,99 @@ function createFragmentNodes(vdom, parentEl, index, hostComponent) {
   }
 }
 
+function createPortalNodes(vdom, parentEl, index, hostComponent) {
+  const { children } = vdom;
+  const targetEl = resolvePortalTarget(vdom.target);
+  const anchor = document.createTextNode('');
+  const targetAnchor = document.createTextNode('');
+
+  vdom.el = anchor;
+  vdom.targetEl = targetEl;
+  vdom.targetAnchor = targetAnchor;
+
+  insert(anchor, parentEl, index);
+  targetEl.append(targetAnchor);
+  children.forEach((child) => mountDOM(child, targetEl, null, hostComponent));
+}
+
+function resolvePortalTarget(target) {
+  const targetEl = typeof target === 'string'
+    ? document.querySelector(target)
+    : target;
+
+  if (targetEl == null) {
+    throw new Error(`Can't find the portal target: ${target}`);
+  }
+
+  return targetEl;
+}
+
+function createFunctionalNode(vdom, parentEl, index, hostComponent) {
+  const subtree = renderFunctionalComponent(vdom, hostComponent);
+
+  mountDOM(subtree, parentEl, index, hostComponent);
+  vdom.subtree = subtree;
+  vdom.el = domNodesOf(subtree)[0];
+}
+
+export function renderFunctionalComponent(vdom, hostComponent) {
+  const { tag: render, children } = vdom;
+  const { props, events } = extractPropsAndEvents(vdom);
+  applyComponentModel(vdom, props, events, hostComponent);
+
+  function emit(eventName, payload) {
+    const handler = events[eventName];
+
+    if (handler) {
+      callWithErrorHandling(handler, hostComponent, ERROR_PHASES.EVENT_HANDLER, [payload]);
+    }
+  }
+
+  const renderEffect = new ReactiveEffect(
+    () => withOwner(vdom.owner ?? hostComponent, () => render(props, { children, emit })),
+    () => {
+      renderEffect.stop();
+      hostComponent?.scheduleUpdate?.();
+    }
+  );
+  vdom.renderEffect = renderEffect;
+
+  try {
+    return toVdom(renderEffect.run());
+  } catch (error) {
+    handleError(error, hostComponent, ERROR_PHASES.RENDER);
+
+    return hString('');
+  }
+}
+
+function toVdom(value) {
+  if (value == null || typeof value === 'boolean') {
+    return hString('');
+  }
+
+  if (Array.isArray(value)) {
+    return hFragment(value);
+  }
+
+  return typeof value === 'object' ? value : hString(String(value));
+}
+
 function createComponentNode(vdom, parentEl, index, hostComponent) {
+  const component = createComponent(vdom, hostComponent);
+
+  component.mount(parentEl, index);
+  vdom.component = component;
+  vdom.el = component.firstElement;
+}
+
+export function createComponent(vdom, hostComponent) {
   const { tag: Component, children } = vdom;
   const { props, events } = extractPropsAndEvents(vdom);
+  applyComponentModel(vdom, props, events, hostComponent);
   const component = new Component(props, events, hostComponent);
   component.setExternalContent(children);
   component.setAppContext(hostComponent?.appContext ?? {});
 
-  component.mount(parentEl, index);
-  vdom.component = component;
-  vdom.el = component.firstElement;
+  return component;
 }
@@ -12,7 +12,15 @@ export function areNodesEqual(nodeOne, nodeTwo) {
     return tagOne === tagTwo && keyOne === keyTwo;
   };
 
-  if (nodeOne.type === DOM_TYPES.COMPONENT) {
+  if (nodeOne.type === DOM_TYPES.PORTAL) {
+    return nodeOne.target === nodeTwo.target;
+  }
+
+  if (nodeOne.type === DOM_TYPES.FUNCTIONAL && nodeOne.deps && nodeTwo.deps) {
+    return nodeOne.props.key === nodeTwo.props.key;
+  }
+
+  if (nodeOne.type === DOM_TYPES.COMPONENT || nodeOne.type === DOM_TYPES.FUNCTIONAL) {
     const { tag: componentOne, props: { key: keyOne } } = nodeOne;
     const { tag: componentTwo, props: { key: keyTwo } } = nodeTwo;
 
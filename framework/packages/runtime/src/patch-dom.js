@@ -1,11 +1,14 @@
 import { removeAttribute, setAttribute, removeStyle, setStyle } from "./attributes";
 import { destroyDOM } from "./destroy-dom";
 import { addEventListener } from "./events";
-import { DOM_TYPES, extractChildren, isComponent } from "./h";
-import { mountDOM } from "./mount-dom";
+import { DOM_TYPES, domNodesOf, extractChildren } from "./h";
+import { applyComponentModel, patchModel } from "./model";
+import { mountDOM, renderFunctionalComponent } from "./mount-dom";
 import { areNodesEqual } from "./nodes-equal";
 import { arraysDiff, arraysDiffSequence, ARRAY_DIFF_OP } from "./utils/arrays";
-import { objectsDiff } from "./utils/objects";
+import { patchRef } from "./refs";
+import { objectsDiff, shallowEqual } from "./utils/objects";
+import { childNodesOf } from "./transition-hooks";
 import { isNotBlankOrEmptyString } from './utils/strings';
 import { extractPropsAndEvents } from "./utils/props";
 
@@ -28,12 +31,27 @@ export function patchDOM(oldVdom, newVdom, parentEl, hostComponent = null) {
 
     case DOM_TYPES.ELEMENT: {
       patchElement(oldVdom, newVdom, hostComponent);
-      break;
+      patchChildren(oldVdom, newVdom, hostComponent);
+      patchModel(oldVdom, newVdom, hostComponent);
+      patchRef(oldVdom, newVdom, hostComponent);
+      return newVdom;
+    }
+
+    case DOM_TYPES.PORTAL: {
+      patchPortal(oldVdom, newVdom, hostComponent);
+      return newVdom;
+    }
+
+    case DOM_TYPES.FUNCTIONAL: {
+      patchFunctional(oldVdom, newVdom, parentEl, hostComponent);
+      patchRef(oldVdom, newVdom, hostComponent);
+      return newVdom;
     }
 
     case DOM_TYPES.COMPONENT: {
-      patchComponent(oldVdom, newVdom);
-      break;
+      patchComponent(oldVdom, newVdom, hostComponent);
+      patchRef(oldVdom, newVdom, hostComponent);
+      return newVdom;
     }
   }
 
@@ -42,10 +60,13 @@ export function patchDOM(oldVdom, newVdom, parentEl, hostComponent = null) {
   return newVdom;
 }
 
-function patchComponent(oldVdom, newVdom) {
-  const { component } = oldVdom;
+function patchComponent(oldVdom, newVdom, hostComponent) {
+  const { component, modelBinding } = oldVdom;
   const { children } = newVdom;
-  const { props } = extractPropsAndEvents(newVdom);
+  const { props, events } = extractPropsAndEvents(newVdom);
+
+  newVdom.modelBinding = modelBinding;
+  applyComponentModel(newVdom, props, events, hostComponent);
 
   component.setExternalContent(children);
   component.updateProps(props);
@@ -54,16 +75,69 @@ function patchComponent(oldVdom, newVdom) {
   newVdom.el = component.firstElement;
 }
 
-function patchChildren(oldVdom, newVdom, hostComponent) {
+function patchFunctional(oldVdom, newVdom, parentEl, hostComponent) {
+  if (!shouldRenderFunctional(oldVdom, newVdom)) {
+    newVdom.subtree = oldVdom.subtree;
+    newVdom.renderEffect = oldVdom.renderEffect;
+    return;
+  }
+
+  oldVdom.renderEffect?.stop();
+  const subtree = renderFunctionalComponent(newVdom, hostComponent);
+  newVdom.subtree = patchDOM(oldVdom.subtree, subtree, parentEl, hostComponent);
+  newVdom.el = domNodesOf(newVdom.subtree)[0];
+}
+
+function shouldRenderFunctional(oldVdom, newVdom) {
+  if (oldVdom.renderEffect?.isActive === false) {
+    return true;
+  }
+
+  if (newVdom.deps) {
+    return !areDepsEqual(oldVdom.deps, newVdom.deps);
+  }
+
+  if (newVdom.props.model != null) {
+    return true;
+  }
+
+  const { on: oldEvents, ...oldProps } = oldVdom.props;
+  const { on: newEvents, ...newProps } = newVdom.props;
+  const haveSameChildren = oldVdom.children === newVdom.children
+    || (oldVdom.children.length === 0 && newVdom.children.length === 0);
+
+  return !haveSameChildren || !shallowEqual(oldProps, newProps) || !shallowEqual(oldEvents, newEvents);
+}
+
+function areDepsEqual(oldDeps, newDeps) {
+  return oldDeps.length === newDeps.length
+    && oldDeps.every((dep, i) => Object.is(dep, newDeps[i]));
+}
+
+function patchPortal(oldVdom, newVdom, hostComponent) {
+  const { targetEl, targetAnchor } = oldVdom;
+
+  newVdom.targetEl = targetEl;
+  newVdom.targetAnchor = targetAnchor;
+
+  patchChildren(oldVdom, newVdom, hostComponent, {
+    parentEl: targetEl,
+    getOffset: () => Array.from(childNodesOf(targetEl)).indexOf(targetAnchor) + 1,
+  });
+}
+
+function patchChildren(oldVdom, newVdom, hostComponent, {
+  parentEl = oldVdom.el,
+  getOffset = () => hostComponent?.offset ?? 0,
+} = {}) {
   const oldChildren = extractChildren(oldVdom);
   const newChildren = extractChildren(newVdom);
-  const parentEl = oldVdom.el;
 
   const diffSeq = arraysDiffSequence(oldChildren, newChildren, areNodesEqual);
 
   for (const operation of diffSeq) {
     const { originalIndex, index, item } = operation;
-    const offset = hostComponent?.offset ?? 0;
+    const offset = getOffset();
 
     switch (operation.op) {
       case ARRAY_DIFF_OP.ADD: {
@@ -79,9 +153,9 @@ function patchChildren(oldVdom, newVdom, hostComponent) {
       case ARRAY_DIFF_OP.MOVE: {
         const oldChild = oldChildren[originalIndex];
         const newChild = newChildren[index];
-        const elAtTargetIndex = parentEl.childNodes[index + offset];
+        const elAtTargetIndex = childNodesOf(parentEl)[index + offset] ?? null;
 
-        const elementsToMove = isComponent(oldChild) ? oldChild.component.elements : [oldChild.el];
+        const elementsToMove = domNodesOf(oldChild);
 
         elementsToMove.forEach((el) => {
           parentEl.insertBefore(el, elAtTargetIndex);
@@ -102,17 +176,13 @@ function patchChildren(oldVdom, newVdom, hostComponent) {
 function patchElement(oldVdom, newVdom, hostComponent) {
   const el = oldVdom.el;
   const {
-    class: oldClass,
-    style: oldStyle,
-    on: oldEvents,
-    ...oldAttrs
-  } = oldVdom.props;
+    props: { class: oldClass, style: oldStyle, ...oldAttrs },
+    events: oldEvents,
+  } = extractPropsAndEvents(oldVdom);
   const {
-    class: newClass,
-    style: newStyle,
-    on: newEvents,
-    ...newAttrs
-  } = newVdom.props;
+    props: { class: newClass, style: newStyle, ...newAttrs },
+    events: newEvents,
+  } = extractPropsAndEvents(newVdom);
   const { listeners: oldListeners } = oldVdom;
 
   patchAttrs(el, oldAttrs, newAttrs);
@@ -188,7 +258,7 @@ function patchText(oldVdom, newVdom) {
 }
 
 function findIndexInParent(parentEl, el) {
-  const index = Array.from(parentEl.childNodes).indexOf(el);
+  const index = Array.from(childNodesOf(parentEl)).indexOf(el);
   if (index < 0) {
     return null;
   }
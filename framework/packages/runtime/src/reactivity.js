@@ -0,0 +1,214 @@
+let activeEffect = null;
+let activeScope = null;
+
+class Signal {
+  #value;
+  #observers = new Set();
+
+  constructor(value) {
+    this.#value = value;
+  }
+
+  get value() {
+    track(this.#observers);
+    return this.#value;
+  }
+
+  set value(newValue) {
+    if (Object.is(newValue, this.#value)) {
+      return;
+    }
+
+    this.#value = newValue;
+    trigger(this.#observers);
+  }
+
+  peek() {
+    return this.#value;
+  }
+}
+
+class Computed {
+  #value;
+  #isDirty = true;
+  #observers = new Set();
+  #effect;
+
+  constructor(getter) {
+    this.#effect = new ReactiveEffect(getter, () => {
+      if (this.#isDirty) {
+        return;
+      }
+
+      this.#isDirty = true;
+      trigger(this.#observers);
+    });
+  }
+
+  get value() {
+    track(this.#observers);
+
+    if (this.#isDirty) {
+      this.#value = this.#effect.run();
+      this.#isDirty = false;
+    }
+
+    return this.#value;
+  }
+
+  peek() {
+    return this.#value;
+  }
+}
+
+export class ReactiveEffect {
+  #fn;
+  #scheduler;
+  #dependencies = new Set();
+  #isActive = true;
+
+  constructor(fn, scheduler = null) {
+    this.#fn = fn;
+    this.#scheduler = scheduler;
+    activeScope?.add(this);
+  }
+
+  run() {
+    if (!this.#isActive) {
+      return this.#fn();
+    }
+
+    this.#cleanup();
+
+    const previousEffect = activeEffect;
+    activeEffect = this;
+
+    try {
+      return this.#fn();
+    } finally {
+      activeEffect = previousEffect;
+    }
+  }
+
+  get isActive() {
+    return this.#isActive;
+  }
+
+    addDependency(observers) {
+    this.#dependencies.add(observers);
+  }
+
+  notify() {
+    if (!this.#isActive) {
+      return;
+    }
+
+    if (this.#scheduler) {
+      this.#scheduler();
+    } else {
+      this.run();
+    }
+  }
+
+  stop() {
+    this.#cleanup();
+    this.#isActive = false;
+  }
+
+  #cleanup() {
+    this.#dependencies.forEach((observers) => observers.delete(this));
+    this.#dependencies.clear();
+  }
+}
+
+class EffectScope {
+  #effects = [];
+  #cleanups = [];
+
+  run(fn) {
+    const previousScope = activeScope;
+    activeScope = this;
+
+    try {
+      return fn();
+    } finally {
+      activeScope = previousScope;
+    }
+  }
+
+  add(effect) {
+    this.#effects.push(effect);
+  }
+
+  onDispose(cleanup) {
+    this.#cleanups.push(cleanup);
+  }
+
+  stop() {
+    this.#effects.forEach((effect) => effect.stop());
+    this.#cleanups.forEach((cleanup) => cleanup());
+    this.#effects = [];
+    this.#cleanups = [];
+  }
+}
+
+function track(observers) {
+  if (activeEffect) {
+    observers.add(activeEffect);
+    activeEffect.addDependency(observers);
+  }
+}
+
+function trigger(observers) {
+  [...observers].forEach((effect) => effect.notify());
+}
+
+export function signal(value) {
+  return new Signal(value);
+}
+
+export function computed(getter) {
+  return new Computed(getter);
+}
+
+export function isSignal(value) {
+  return value instanceof Signal || value instanceof Computed;
+}
+
+export function effect(fn) {
+  const reactiveEffect = new ReactiveEffect(fn);
+  reactiveEffect.run();
+
+  return () => reactiveEffect.stop();
+}
+
+export function watch(source, callback, { immediate = false } = {}) {
+  const getter = typeof source === 'function' ? source : () => source.value;
+  let oldValue;
+
+  const reactiveEffect = new ReactiveEffect(getter, () => {
+    const newValue = reactiveEffect.run();
+
+    if (!Object.is(newValue, oldValue)) {
+      const previousValue = oldValue;
+      oldValue = newValue;
+      callback(newValue, previousValue);
+    }
+  });
+
+  oldValue = reactiveEffect.run();
+
+  if (immediate) {
+    callback(oldValue, undefined);
+  }
+
+  return () => reactiveEffect.stop();
+}
+
+export function effectScope() {
+  return new EffectScope();
+}
+
+export function onScopeDispose(cleanup) {
+  activeScope?.onDispose(cleanup);
+}
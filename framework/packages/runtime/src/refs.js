@@ -0,0 +1,58 @@
+import { callWithErrorHandling, ERROR_PHASES } from "./errors";
+import { DOM_TYPES } from "./h";
+
+export function setRef(vdom, hostComponent) {
+  const ref = vdom.props?.ref;
+
+  if (ref == null) {
+    return;
+  }
+
+  const owner = vdom.owner ?? hostComponent;
+  vdom.refOwner = owner;
+  assignRef(ref, refValueOf(vdom), owner);
+}
+
+export function unsetRef(vdom) {
+  const ref = vdom.props?.ref;
+
+  if (ref == null) {
+    return;
+  }
+
+  const owner = vdom.refOwner;
+  delete vdom.refOwner;
+
+  if (typeof ref === 'function') {
+    assignRef(ref, null, owner);
+  } else if (owner?.refs?.[ref] === refValueOf(vdom)) {
+    delete owner.refs[ref];
+  }
+}
+
+export function patchRef(oldVdom, newVdom, hostComponent) {
+  if (oldVdom.props?.ref === newVdom.props?.ref) {
+    if (oldVdom.refOwner) {
+      newVdom.refOwner = oldVdom.refOwner;
+    }
+    return;
+  }
+
+  unsetRef(oldVdom);
+  setRef(newVdom, hostComponent);
+}
+
+function assignRef(ref, value, owner) {
+  if (typeof ref === 'function') {
+    callWithErrorHandling(ref, owner, ERROR_PHASES.REF, [value]);
+    return;
+  }
+
+  if (owner?.refs) {
+    owner.refs[ref] = value;
+  }
+}
+
+function refValueOf(vdom) {
+  return vdom.type === DOM_TYPES.COMPONENT ? vdom.component : vdom.el;
+}
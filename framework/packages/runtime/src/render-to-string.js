@@ -0,0 +1,109 @@
+import { createAppContext } from "./app";
+import { serializeAttributes } from "./attributes";
+import { DOM_TYPES, h } from "./h";
+import { modelAttributes } from "./model";
+import { createComponent, renderFunctionalComponent } from "./mount-dom";
+import { extractPropsAndEvents } from "./utils/props";
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr',
+]);
+
+export function renderToString(vdomOrComponent, props = {}, options = {}) {
+  const vdom = typeof vdomOrComponent === 'function'
+    ? h(vdomOrComponent, props)
+    : vdomOrComponent;
+  const appContext = createAppContext(props, options);
+
+  return renderNode(vdom, { appContext, onError: options.onError });
+}
+
+function renderNode(vdom, hostComponent) {
+  switch (vdom.type) {
+    case DOM_TYPES.TEXT: {
+      return escapeHtml(vdom.value);
+    }
+
+    case DOM_TYPES.ELEMENT: {
+      return renderElement(vdom, hostComponent);
+    }
+
+    case DOM_TYPES.FRAGMENT:
+    case DOM_TYPES.SLOT: {
+      return renderChildren(vdom.children, hostComponent);
+    }
+
+    case DOM_TYPES.FUNCTIONAL: {
+      const subtree = renderFunctionalComponent(vdom, hostComponent);
+      vdom.renderEffect.stop();
+
+      return renderNode(subtree, hostComponent);
+    }
+
+    case DOM_TYPES.PORTAL: {
+      return '';
+    }
+
+    case DOM_TYPES.COMPONENT: {
+      return renderComponent(vdom, hostComponent);
+    }
+
+    default: {
+      throw new Error(`Can't render to string DOM of type: ${vdom.type}`);
+    }
+  }
+}
+
+function renderChildren(children = [], hostComponent) {
+  return children.map((child) => renderNode(child, hostComponent)).join('');
+}
+
+function renderElement(vdom, hostComponent) {
+  const { tag, children } = vdom;
+  const { props } = extractPropsAndEvents(vdom);
+  const attrs = { ...props, ...modelAttributes(vdom, hostComponent) };
+  const { value, ...otherAttrs } = attrs;
+
+  const isTextarea = tag === 'textarea';
+  const openingTag = `<${tag}${renderAttributes(isTextarea ? otherAttrs : attrs)}>`;
+
+  if (VOID_ELEMENTS.has(tag)) {
+    return openingTag;
+  }
+
+  const content = isTextarea && value != null
+    ? escapeHtml(value)
+    : renderChildren(children, hostComponent);
+
+  return `${openingTag}${content}</${tag}>`;
+}
+
+function renderComponent(vdom, hostComponent) {
+  const component = createComponent(vdom, hostComponent);
+
+  try {
+    return renderNode(component.render(), component);
+  } finally {
+    component.dispose();
+  }
+}
+
+function renderAttributes(attrs) {
+  const rendered = Object.entries(serializeAttributes(attrs)).map(([name, value]) =>
+    value === true ? name : `${name}="${escapeAttribute(value)}"`
+  );
+
+  return rendered.length > 0 ? ` ${rendered.join(' ')}` : '';
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(str) {
+  return escapeHtml(str).replace(/"/g, '&quot;');
+}
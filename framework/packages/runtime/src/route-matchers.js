@@ -1,38 +1,186 @@
 
 const CATCH_ALL_ROUTE = '*';
-export function makeRouteMatcher(route) {
-  return routeHasParams(route)
-    ? makeMatcherWithParams(route)
-    : makeMatcherWithoutParams(route);
+
+export function makeRouteMatchers(routes) {
+  return flattenRoutes(routes)
+    .map((matched) => ({
+      ...makeRouteMatcher(matched.at(-1)),
+      matched,
+    }))
+    .sort((a, b) => compareScores(a.score, b.score));
 }
 
-function routeHasParams({ path }) {
-  return path.includes(':');
+function flattenRoutes(routes, parentMatched = []) {
+  const parentPath = parentMatched.at(-1)?.path ?? '';
+
+  return routes.flatMap(({ children = [], ...route }) => {
+    const record = {
+      ...route,
+      path: resolvePath(route.path, parentPath),
+    };
+
+    if (typeof route.redirect === 'string') {
+      record.redirect = resolvePath(route.redirect, parentPath);
+    }
+
+    const matched = [...parentMatched, record];
+
+    return [...flattenRoutes(children, matched), matched];
+  });
 }
 
-function makeRouteWithoutParamsRegex({ path }) {
-  if (path === CATCH_ALL_ROUTE) {
-    return new RegExp('^.*$');
-  };
+function resolvePath(path, parentPath) {
+  if (path.startsWith('/') || path === CATCH_ALL_ROUTE) {
+    return path;
+  }
 
-  return new RegExp(`^${path}$`);
+  const basePath = parentPath.replace(/\/+$/, '');
+
+  if (path === '') {
+    return basePath || '/';
+  }
+
+  return `${basePath}/${path}`;
 }
 
-function makeMatcherWithoutParams(route) {
-  const regex = makeRouteWithoutParamsRegex(route);
+const TOKEN_TYPES = {
+  STATIC: 'static',
+  PARAM: 'param',
+  SPLAT: 'splat',
+};
+
+const SEGMENT_SCORES = {
+  STATIC: 80,
+  CONSTRAINED_PARAM: 60,
+  PARAM: 40,
+  END: 30,
+  OPTIONAL_PARAM: 20,
+  SPLAT: 10,
+  OPTIONAL_SPLAT: 0,
+};
+
+const PARAM_SEGMENT_REGEX = /^:(\w+)(?:\((.+)\))?(\?)?$/;
+const SPLAT_SEGMENT_REGEX = /^\*(\w+)(\?)?$/;
+
+export function makeRouteMatcher(route) {
+  const tokens = parsePath(route.path);
+  const regex = makeRouteRegex(route, tokens);
   const isRedirect = typeof route.redirect === 'string';
 
   return {
     route,
     isRedirect,
+    score: scorePath(route, tokens),
     checkMatch(path) {
       return regex.test(path);
     },
-    extractParams() {
-      return {};
+    extractParams(path) {
+      const { groups = {} } = regex.exec(path) ?? {};
+
+      return Object.fromEntries(
+        Object.entries(groups)
+          .filter(([, value]) => value !== undefined)
+          .map(([name, value]) => [name, decodeParam(value)])
+      );
     },
     extractQuery,
+  };
+}
+
+function parsePath(path) {
+  if (path === CATCH_ALL_ROUTE) {
+    return [{ type: TOKEN_TYPES.SPLAT, name: null, optional: true }];
   }
+
+  return path.split('/').filter(Boolean).map(parseSegment);
+}
+
+function parseSegment(segment) {
+  const param = PARAM_SEGMENT_REGEX.exec(segment);
+
+  if (param) {
+    const [, name, pattern = null, optional] = param;
+    return { type: TOKEN_TYPES.PARAM, name, pattern, optional: Boolean(optional) };
+  }
+
+  const splat = SPLAT_SEGMENT_REGEX.exec(segment);
+
+  if (splat) {
+    const [, name, optional] = splat;
+    return { type: TOKEN_TYPES.SPLAT, name, optional: Boolean(optional) };
+  }
+
+  return { type: TOKEN_TYPES.STATIC, value: segment };
+}
+
+function makeRouteRegex({ caseSensitive = false, strict = false }, tokens) {
+  const source = tokens.map(tokenToRegexSource).join('');
+  const trailingSlash = strict ? '' : '/?';
+  const flags = caseSensitive ? '' : 'i';
+
+  return new RegExp(`^${source || '/'}${source ? trailingSlash : ''}$`, flags);
+}
+
+function tokenToRegexSource(token) {
+  if (token.type === TOKEN_TYPES.STATIC) {
+    return `/${escapeRegex(token.value)}`;
+  }
+
+  const group = token.name ? `?<${token.name}>` : '?:';
+  const pattern = token.type === TOKEN_TYPES.SPLAT ? '.+' : (token.pattern ?? '[^/]+');
+  const source = `/(${group}${pattern})`;
+
+  return token.optional ? `(?:${source})?` : source;
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function scorePath({ path }, tokens) {
+  if (path === CATCH_ALL_ROUTE) {
+    return [SEGMENT_SCORES.OPTIONAL_SPLAT];
+  }
+
+  return tokens.map(scoreToken);
+}
+
+function scoreToken({ type, pattern, optional }) {
+  if (type === TOKEN_TYPES.STATIC) {
+    return SEGMENT_SCORES.STATIC;
+  }
+
+  if (type === TOKEN_TYPES.SPLAT) {
+    return optional ? SEGMENT_SCORES.OPTIONAL_SPLAT : SEGMENT_SCORES.SPLAT;
+  }
+
+  if (optional) {
+    return SEGMENT_SCORES.OPTIONAL_PARAM;
+  }
+
+  return pattern ? SEGMENT_SCORES.CONSTRAINED_PARAM : SEGMENT_SCORES.PARAM;
+}
+
+function compareScores(a, b) {
+  const length = Math.max(a.length, b.length);
+
+  for (let i = 0; i < length; i++) {
+    const difference = (b[i] ?? SEGMENT_SCORES.END) - (a[i] ?? SEGMENT_SCORES.END);
+
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+
+  return 0;
 }
 
 function extractQuery(path) {
@@ -47,26 +195,36 @@ function extractQuery(path) {
   return Object.fromEntries(search.entries());
 }
 
-function makeRouteWithParamsRegex({ path }) {
-  const regex = path.replace(/:([^/]+)/g, (_, paramName) => `(?<${paramName}>[^/]+)`);
+export function buildPath(path, params = {}) {
+  if (path === CATCH_ALL_ROUTE) {
+    return path;
+  }
 
-  return new RegExp(`^${regex}$`);
-}
+  const segments = path.split('/').map((segment) => {
+    if (segment === '') {
+      return segment;
+    }
 
-function makeMatcherWithParams(route) {
-  const regex = makeRouteWithParamsRegex(route);
-  const isRedirect = typeof route.redirect === 'string';
+    const token = parseSegment(segment);
 
-  return {
-    route,
-    isRedirect,
-    checkMatch(path) {
-      return regex.test(path);
-    },
-    extractParams(path) {
-      const { groups } = regex.exec(path);
-      return groups;
-    },
-    extractQuery,
-  }
-}
\ No newline at end of file
+    if (token.type === TOKEN_TYPES.STATIC) {
+      return segment;
+    }
+
+    const value = params[token.name];
+
+    if (value == null || value === '') {
+      if (token.optional) {
+        return null;
+      }
+
+      throw new Error(`Missing required param "${token.name}" to build the path "${path}"`);
+    }
+
+    return token.type === TOKEN_TYPES.SPLAT
+      ? String(value).split('/').map(encodeURIComponent).join('/')
+      : encodeURIComponent(value);
+  });
+
+  return segments.filter((segment) => segment !== null).join('/') || '/';
+}
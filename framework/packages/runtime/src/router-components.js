@@ -1,19 +1,71 @@
 import { defineComponent } from "./component";
 import { h, hSlot } from './h';
+import { KeepAlive } from './keep-alive';
+import { isPlainLeftClick, LOADING_STATUS } from './router';
+import { nextTick } from './scheduler';
 
 export const RouterLink = defineComponent({
+  name: 'RouterLink',
+
+  props: {
+    to: { type: [String, Object], required: true },
+    replace: { type: Boolean, default: false },
+    activeClass: { type: String, default: 'active' },
+    exactActiveClass: { type: String, default: 'exact-active' },
+    prefetch: { type: Boolean, default: false },
+  },
+
+  state() {
+    return {
+      location: this.appContext.router.currentLocation,
+      subscription: null,
+    }
+  },
+
+  onMounted() {
+    const { router } = this.appContext;
+    const subscription = router.subscribe(() => {
+      this.updateState({ location: router.currentLocation });
+    });
+
+    this.updateState({ subscription, location: router.currentLocation });
+  },
+
+  onUnmounted() {
+    this.appContext.router.unsubscribe(this.state.subscription);
+  },
+
+  handleClick(event) {
+    if (event.defaultPrevented || !isPlainLeftClick(event) || opensInAnotherContext(event.currentTarget)) {
+      return;
+    }
+
+    event.preventDefault();
+    this.appContext.router.navigateTo(this.props.to, { replace: this.props.replace });
+  },
+
+  handlePrefetch() {
+    if (this.props.prefetch) {
+      this.appContext.router.preload(this.props.to).catch(() => {});
+    }
+  },
+
   render() {
-    const { to } = this.props;
+    const { to, activeClass, exactActiveClass } = this.props;
+    const { router } = this.appContext;
+    const path = router.resolve(to);
+    const { isActive, isExactActive } = getLinkState(path, this.state.location);
 
     return h(
       'a',
       {
-        href: to,
+        href: router.createHref(path),
+        class: [isActive && activeClass, isExactActive && exactActiveClass].filter(Boolean),
+        'aria-current': isExactActive ? 'page' : null,
         on: {
-          click: (e) => {
-            e.preventDefault();
-            this.appContext.router.navigateTo(to);
-          },
+          click: (event) => this.handleClick(event),
+          mouseenter: () => this.handlePrefetch(),
+          focus: () => this.handlePrefetch(),
         },
       },
       [hSlot()]
@@ -21,40 +73,180 @@ export const RouterLink = defineComponent({
   },
 })
 
+function getLinkState(path, location) {
+  if (!location) {
+    return { isActive: false, isExactActive: false };
+  }
+
+  const linkPath = normalizePathname(path.split(/[?#]/)[0]);
+  const currentPath = normalizePathname(location.path);
+  const isExactActive = linkPath === currentPath;
+  const isActive = isExactActive || (linkPath !== '/' && currentPath.startsWith(`${linkPath}/`));
+
+  return { isActive, isExactActive };
+}
+
+function normalizePathname(pathname) {
+  return pathname.replace(/\/+$/, '') || '/';
+}
+
+function opensInAnotherContext(anchor) {
+  const target = anchor?.getAttribute('target');
+
+  return Boolean(target) && target !== '_self';
+}
+
 export const RouterOutlet = defineComponent({
+  name: 'RouterOutlet',
+
+  props: {
+    loading: Function,
+    error: Function,
+    delay: { type: Number, default: 200 },
+    timeout: { type: Number, default: Infinity },
+    keepAlive: { type: [Boolean, Object], default: false },
+  },
+
   state() {
+    const outletDepth = countParentOutlets(this);
+
     return {
-      matchedRoute: null,
+      outletDepth,
+      matchedRoute: this.appContext.router.matched[outletDepth] ?? null,
+      isLoading: false,
+      showLoading: false,
+      loadingError: null,
+      loadingTimers: [],
       subscription: null,
+      stopListeningToLoading: null,
     }
   },
 
   onMounted() {
-    const subscription = this.appContext.router.subscribe(({ to }) => {
-      this.handleRouteChange(to);
+    const { router } = this.appContext;
+    const subscription = router.subscribe(({ focusDepth }) => {
+      this.handleRouteChange(router.matched[this.state.outletDepth] ?? null);
+
+      if (focusDepth === this.state.outletDepth) {
+        nextTick().then(() => this.focusContent());
+      }
     })
+    const stopListeningToLoading = router.onLoadingChange((event) => {
+      this.handleLoadingChange(event);
+    });
 
-    this.updateState({ subscription });
+    this.updateState({ subscription, stopListeningToLoading });
 
-    if (this.appContext.router.matchedRoute) {
-      this.updateState({ matchedRoute: this.appContext.router.matchedRoute });
+    const matchedRoute = router.matched[this.state.outletDepth];
+
+    if (matchedRoute) {
+      this.updateState({ matchedRoute });
     }
   },
 
   onUnmounted() {
-    const { subscription } = this.state;
+    const { subscription, stopListeningToLoading } = this.state;
     this.appContext.router.unsubscribe(subscription);
+    stopListeningToLoading?.();
+    this.clearLoadingTimers();
+  },
+
+  getRouteData() {
+    return this.appContext.router.getRouteData(this.state.matchedRoute);
   },
 
   handleRouteChange(matchedRoute) {
-    this.updateState({ matchedRoute });
+    this.clearLoadingTimers();
+    this.updateState({ matchedRoute, isLoading: false, showLoading: false, loadingError: null });
+  },
+
+  focusContent() {
+    const el = this.firstElement;
+
+    if (!el?.isConnected) {
+      return;
+    }
+
+    if (!el.hasAttribute('tabindex')) {
+      el.setAttribute('tabindex', '-1');
+    }
+
+    el.focus({ preventScroll: true });
+  },
+
+  handleLoadingChange({ status, depth, error }) {
+    if (depth !== this.state.outletDepth) {
+      return;
+    }
+
+    this.clearLoadingTimers();
+
+    if (status === LOADING_STATUS.LOADING) {
+      this.startLoading();
+    } else if (status === LOADING_STATUS.ERROR) {
+      this.updateState({ isLoading: false, showLoading: false, loadingError: error });
+    } else if (this.state.isLoading || this.state.showLoading) {
+      this.updateState({ isLoading: false, showLoading: false });
+    }
+  },
+
+  startLoading() {
+    const { delay, timeout } = this.props;
+    const loadingTimers = [];
+
+    if (delay > 0) {
+      loadingTimers.push(setTimeout(() => this.updateState({ showLoading: true }), delay));
+    }
+
+    if (Number.isFinite(timeout)) {
+      loadingTimers.push(setTimeout(() => {
+        this.updateState({
+          loadingError: new Error(`Loading the route component timed out after ${timeout}ms`),
+        });
+      }, timeout));
+    }
+
+    this.updateState({ isLoading: true, showLoading: delay <= 0, loadingError: null, loadingTimers });
+  },
+
+  clearLoadingTimers() {
+    const { loadingTimers } = this.state;
+
+    if (loadingTimers.length === 0) {
+      return;
+    }
+
+    loadingTimers.forEach((timer) => clearTimeout(timer));
+    this.updateState({ loadingTimers: [] });
   },
 
   render() {
-    const { matchedRoute } = this.state;
+    const { matchedRoute, isLoading, showLoading, loadingError } = this.state;
+    const { loading, error, keepAlive } = this.props;
+    let content = matchedRoute?.component ? h(matchedRoute.component) : null;
+
+    if (loadingError && error) {
+      content = h(error, { error: loadingError });
+    } else if (isLoading && showLoading && loading) {
+      content = h(loading);
+    }
+
+    if (keepAlive) {
+      content = h(KeepAlive, keepAlive === true ? {} : keepAlive, [content]);
+    }
 
-    return h('div', { id: 'router-outlet' }, [
-      matchedRoute ? h(matchedRoute.component) : null,
-    ])
+    return h('div', { id: 'router-outlet' }, [content])
   }
-})
\ No newline at end of file
+})
+
+function countParentOutlets(component) {
+  let count = 0;
+
+  for (let parent = component.parentComponent; parent; parent = parent.parentComponent) {
+    if (parent instanceof RouterOutlet) {
+      count++;
+    }
+  }
+
+  return count;
+}
@@ -1,25 +1,77 @@
+import { isComponentClass } from "./h";
 import { Dispatcher } from "./dispatcher";
-import { makeRouteMatcher } from "./route-matchers";
+import { createHashHistory, createMemoryHistory, createWebHistory } from "./history";
+import { buildPath, makeRouteMatchers } from "./route-matchers";
+import { nextTick } from "./scheduler";
+import { scrollToPosition } from "./scroll";
 
 const ROUTER_EVENT = 'router-event';
+const LOADING_EVENT = 'loading-event';
 
-export class HashRouter {
+export const LOADING_STATUS = {
+  LOADING: 'loading',
+  LOADED: 'loaded',
+  ERROR: 'error',
+};
+
+const NAVIGATION_MODES = {
+  PUSH: 'push',
+  REPLACE: 'replace',
+  POP: 'pop',
+};
+
+export class Router {
   #matchers = [];
-  #onPopState = () => this.#matchCurrentRoute();
+  #namedRoutes = new Map();
+  #history = null;
+  #unlisten = null;
   #isInitialized = false;
+  #initialNavigation = null;
 
   #dispatcher = new Dispatcher();
   #subscriptions = new WeakMap();
   #subscriberFns = new Set();
 
-  constructor(routes = []) {
-    this.#matchers = routes.map(makeRouteMatcher);
+  #lazyComponents = new WeakMap();
+  #navigationController = null;
+  #routeData = new Map();
+
+  #scrollBehavior = null;
+  #scrollPositions = new Map();
+  #historyPosition = 0;
+  #focusReset = true;
+  #announcer = null;
+
+  #beforeLeaveGuards = [];
+  #beforeEachGuards = [];
+  #beforeResolveGuards = [];
+  #afterEachHooks = [];
+  #errorHandlers = [];
+
+  constructor(routes = [], history = createMemoryHistory(), { scrollBehavior = null, focusReset = true } = {}) {
+    this.#matchers = makeRouteMatchers(routes);
+    this.#matchers
+      .filter(({ route }) => route.name != null)
+      .forEach(({ route }) => this.#namedRoutes.set(route.name, route));
+    this.#history = history;
+    this.#scrollBehavior = scrollBehavior;
+    this.#focusReset = focusReset;
+  }
+
+  get history() {
+    return this.#history;
   }
 
   subscribe(handler) {
     const unsubscribe = this.#dispatcher.subscribe(ROUTER_EVENT, handler);
     this.#subscriptions.set(handler, unsubscribe);
     this.#subscriberFns.add(handler);
+
+    return handler;
+  }
+
+  onLoadingChange(handler) {
+    return this.#dispatcher.subscribe(LOADING_EVENT, handler);
   }
 
   unsubscribe(handler) {
@@ -34,17 +86,21 @@ export class HashRouter {
 
   async init() {
     if (this.#isInitialized) {
-      return;
+      return this.#initialNavigation;
     }
 
-    if (document.location.hash === '') {
-      window.history.replaceState({}, '', '#/');
-    };
+    this.#isInitialized = true;
+    this.#history.init();
+    this.#historyPosition = this.#history.position;
 
-    window.addEventListener('popstate', this.#onPopState);
-    await this.#matchCurrentRoute();
+    if (this.#scrollBehavior) {
+      this.#history.disableScrollRestoration();
+    }
 
-    this.#isInitialized = true;
+    this.#unlisten = this.#history.listen((path, { delta }) => this.#onPopState(path, delta));
+    this.#initialNavigation = this.#navigate(this.#history.location, NAVIGATION_MODES.REPLACE);
+
+    await this.#initialNavigation;
   }
 
   destroy() {
@@ -52,22 +108,37 @@ export class HashRouter {
       return;
     }
 
-    window.removeEventListener('popstate', this.#onPopState);
-    Array.from(this.#subscriberFns.forEach(this.unsubscribe, this));
+    this.#unlisten();
+    this.#history.destroy();
+    Array.from(this.#subscriberFns).forEach(this.unsubscribe, this);
+    this.#announcer?.remove();
+    this.#announcer = null;
     this.#isInitialized = false;
   }
 
-  get #currentRouteHash() {
-    const hash = document.location.hash;
+  beforeLeave(guard) {
+    return addHook(this.#beforeLeaveGuards, guard);
+  }
 
-    if (hash === '') {
-      return '/';
-    }
+  beforeEach(guard) {
+    return addHook(this.#beforeEachGuards, guard);
+  }
 
-    return hash.slice(1);
+  beforeResolve(guard) {
+    return addHook(this.#beforeResolveGuards, guard);
   }
-  #matchCurrentRoute() {
-    return this.navigateTo(this.#currentRouteHash);
+
+  afterEach(hook) {
+    return addHook(this.#afterEachHooks, hook);
+  }
+
+  onError(handler) {
+    return addHook(this.#errorHandlers, handler);
+  }
+
+  #location = null;
+  get currentLocation() {
+    return this.#location;
   }
 
   #matchedRoute = null;
@@ -75,6 +146,15 @@ export class HashRouter {
     return this.#matchedRoute;
   }
 
+  #matched = [];
+  get matched() {
+    return this.#matched;
+  }
+
+  getRouteData(record) {
+    return this.#routeData.get(record);
+  }
+
   #params = {};
   get params() {
     return this.#params;
@@ -85,78 +165,333 @@ export class HashRouter {
     return this.#query;
   }
 
-  async navigateTo(path) {
-    const matcher = this.#matchers.find((matcher) => matcher.checkMatch(path));
+  createHref(path) {
+    return this.#history.createHref(path);
+  }
+
+  resolve(to) {
+    if (typeof to === 'string') {
+      return to;
+    }
+
+    const { name, path, params = {}, query = {}, hash = '' } = to;
+    let pathname = path;
+
+    if (name != null) {
+      if (!this.#namedRoutes.has(name)) {
+        throw new Error(`No route named "${name}"`);
+      }
+
+      pathname = buildPath(this.#namedRoutes.get(name).path, params);
+    }
+
+    if (pathname == null) {
+      throw new Error('A route location needs either a "name" or a "path"');
+    }
+
+    return `${pathname}${stringifyQuery(query)}${normalizeHash(hash)}`;
+  }
+
+  navigateTo(to, { replace = false } = {}) {
+    const path = this.resolve(to);
+    return this.#navigate(path, replace ? NAVIGATION_MODES.REPLACE : NAVIGATION_MODES.PUSH);
+  }
+
+  hasMatch(to) {
+    const { pathname } = splitPath(this.resolve(to));
+
+    return this.#findMatcher(pathname) != null;
+  }
+
+  preload(to) {
+    const { pathname } = splitPath(this.resolve(to));
+    const matcher = this.#findMatcher(pathname);
+
+    if (!matcher || matcher.isRedirect) {
+      return Promise.resolve();
+    }
+
+    const lazyRecords = matcher.matched.filter((record) => isLazyComponent(record.component));
+
+    return Promise.all(lazyRecords.map((record) => this.#loadComponent(record)));
+  }
+
+  back() {
+    this.#history.go(-1);
+  }
+
+  forward() {
+    this.#history.go(1);
+  }
 
-    if (matcher === null) {
-      console.warn(`[Router] No route matches path "${path}`);
+  async #onPopState(path, delta) {
+    const hasNavigated = await this.#navigate(path, NAVIGATION_MODES.POP);
 
-      this.#matchedRoute = null;
-      this.#params = {};
-      this.#query = {};
-      
+    if (hasNavigated === false) {
+      this.#history.go(-delta, { silent: true });
+    }
+  }
+
+  async #navigate(path, mode) {
+    try {
+      return await this.#performNavigation(path, mode);
+    } catch (error) {
+      this.#reportError(error, path);
+      return false;
+    }
+  }
+
+  #reportError(error, path) {
+    if (this.#errorHandlers.length === 0) {
+      console.error(`[Router] Navigation to "${path}" failed:`, error);
       return;
     }
 
+    this.#errorHandlers.forEach((handler) => handler(error, path));
+  }
+
+  async #performNavigation(path, mode) {
+    const { pathname, pathWithQuery, hash } = splitPath(path);
+    const matcher = this.#findMatcher(pathname);
+
+    if (!matcher) {
+      console.warn(`[Router] No route matches path "${path}"`);
+      return false;
+    }
+
+    this.#navigationController?.abort();
+    const controller = new AbortController();
+    this.#navigationController = controller;
+
     if (matcher.isRedirect) {
-      return this.navigateTo(matcher.route.redirect);
+      const redirectPath = buildPath(matcher.route.redirect, matcher.extractParams(pathname));
+      return this.#navigate(redirectPath, redirectMode(mode));
     }
 
-    const from = this.#matchedRoute;
-    const to = matcher.route;
+    const from = this.#location;
+    const to = {
+      path: pathname,
+      fullPath: path,
+      name: matcher.route.name,
+      params: matcher.extractParams(pathname),
+      query: matcher.extractQuery(pathWithQuery),
+      hash,
+      matched: matcher.matched,
+    };
     const { shouldNavigate, shouldRedirect, redirectPath } = await this.#canChangeRoute(from, to);
 
+    if (controller.signal.aborted) {
+      return null;
+    }
+
     if (shouldRedirect) {
-      return this.navigateTo(redirectPath);
+      return this.#navigate(this.resolve(redirectPath), redirectMode(mode));
+    }
+
+    if (!shouldNavigate) {
+      return false;
     }
 
-    if (shouldNavigate) {
-      this.#matchedRoute = matcher.route;
-      this.#params = matcher.extractParams(path);
-      this.#query = matcher.extractQuery(path);
-      this.#pushState(path);
+    const routeData = await this.#loadRouteData(to, controller.signal);
 
-      this.#dispatcher.dispatch(ROUTER_EVENT, { from, to, router: this});
+    if (controller.signal.aborted) {
+      return null;
     }
+
+    const fromRoute = this.#matchedRoute;
+    const savedPosition = this.#saveScrollPosition(mode);
+    this.#location = to;
+    this.#matchedRoute = matcher.route;
+    this.#matched = to.matched;
+    this.#params = to.params;
+    this.#query = to.query;
+    this.#routeData = routeData;
+    this.#updateHistory(path, mode);
+    this.#historyPosition = this.#history.position;
+
+    const focusDepth = from && this.#focusReset ? findChangedDepth(from, to) : null;
+    this.#dispatcher.dispatch(ROUTER_EVENT, { from: fromRoute, to: matcher.route, router: this, focusDepth });
+    this.#afterEachHooks.forEach((hook) => hook(from, to));
+    this.#afterCommit(from, to, savedPosition);
+
+    return true;
   }
 
-  #pushState(path) {
-    window.history.pushState({}, '', `#${path}`);
+  #findMatcher(pathname) {
+    return this.#matchers.find((matcher) => matcher.checkMatch(pathname));
   }
 
-  back() {
-    window.history.back();
+  #saveScrollPosition(mode) {
+    if (!this.#scrollBehavior) {
+      return null;
+    }
+
+    this.#scrollPositions.set(this.#historyPosition, this.#history.readScrollPosition());
+
+    return mode === NAVIGATION_MODES.POP
+      ? this.#scrollPositions.get(this.#history.position) ?? null
+      : null;
   }
 
-  forward() {
-    window.history.forward();
+  async #afterCommit(from, to, savedPosition) {
+    if (typeof document === 'undefined' || (!this.#scrollBehavior && !(from && this.#focusReset))) {
+      return;
+    }
+
+    await nextTick();
+
+    if (this.#scrollBehavior) {
+      await this.#scroll(from, to, savedPosition);
+    }
+
+    if (from && this.#focusReset) {
+      this.#announce(resolveTitle(to) ?? document.title);
+    }
   }
 
-  async #canChangeRoute(from, to) {
-    const guard = to.beforeEnter;
+  async #scroll(from, to, savedPosition) {
+    try {
+      const position = await this.#scrollBehavior(to, from, savedPosition);
 
-    if (typeof guard !== 'function') {
-      return {
-        shouldRedirect: false,
-        shouldNavigate: true,
-        redirectPath: null,
+      if (position) {
+        scrollToPosition(position);
       }
-    };
+    } catch (error) {
+      console.error(`[Router] Scrolling after the navigation to "${to.fullPath}" failed:`, error);
+    }
+  }
+
+  #announce(message) {
+    if (!message) {
+      return;
+    }
+
+    if (!this.#announcer) {
+      this.#announcer = createAnnouncer();
+    }
+
+    this.#announcer.textContent = message;
+  }
+
+  #updateHistory(path, mode) {
+    if (mode === NAVIGATION_MODES.PUSH) {
+      this.#history.push(path);
+    } else if (mode === NAVIGATION_MODES.REPLACE) {
+      this.#history.replace(path);
+    }
+  }
+
+  async #canChangeRoute(from, to) {
+    const leavingRecords = (from?.matched ?? [])
+      .filter((record) => !to.matched.includes(record))
+      .reverse();
+    const result = await this.#runGuards([
+      ...leavingRecords.map((record) => record.beforeLeave),
+      ...(from ? this.#beforeLeaveGuards : []),
+      ...this.#beforeEachGuards,
+      ...to.matched.map((record) => record.beforeEnter),
+    ], from, to);
+
+    if (!result.shouldNavigate) {
+      return result;
+    }
+
+    await this.#resolveLazyComponents(to);
 
-    const result = await guard(from?.path, to?.path)
-    if (result === false) {
-      return {
-        shouldRedirect: false,
-        shouldNavigate: false,
-        redirectPath: null,
+    return this.#runGuards(this.#beforeResolveGuards, from, to);
+  }
+
+  async #resolveLazyComponents(to) {
+    const lazyRecords = to.matched.filter((record) => isLazyComponent(record.component));
+
+    if (lazyRecords.length === 0) {
+      return;
+    }
+
+    const depth = to.matched.indexOf(lazyRecords[0]);
+    this.#dispatcher.dispatch(LOADING_EVENT, { status: LOADING_STATUS.LOADING, depth, to });
+
+    try {
+      await Promise.all(lazyRecords.map((record) => this.#loadComponent(record)));
+    } catch (error) {
+      this.#dispatcher.dispatch(LOADING_EVENT, { status: LOADING_STATUS.ERROR, depth, to, error });
+      throw error;
+    }
+
+    this.#dispatcher.dispatch(LOADING_EVENT, { status: LOADING_STATUS.LOADED, depth, to });
+  }
+
+  async #loadRouteData(to, signal) {
+    const records = to.matched.filter((record) => typeof record.loader === 'function');
+
+    if (records.length === 0) {
+      return new Map();
+    }
+
+    const depth = to.matched.indexOf(records[0]);
+    this.#dispatcher.dispatch(LOADING_EVENT, { status: LOADING_STATUS.LOADING, depth, to });
+
+    try {
+      const results = await Promise.all(
+        records.map((record) => record.loader({ params: to.params, query: to.query, signal }))
+      );
+      this.#dispatcher.dispatch(LOADING_EVENT, { status: LOADING_STATUS.LOADED, depth, to });
+
+      return new Map(records.map((record, i) => [record, results[i]]));
+    } catch (error) {
+      if (signal.aborted) {
+        return null;
       }
+
+      this.#dispatcher.dispatch(LOADING_EVENT, { status: LOADING_STATUS.ERROR, depth, to, error });
+      throw error;
     }
+  }
+
+  #loadComponent(record) {
+    const loader = record.component;
+
+    if (!this.#lazyComponents.has(loader)) {
+      const promise = Promise.resolve(loader()).then((module) => {
+        const component = module?.default ?? module;
 
-    if (typeof result === 'string') {
-      return {
-        shouldRedirect: true,
-        shouldNavigate: false,
-        redirectPath: result,
+        if (!isComponentClass(component)) {
+          throw new Error(`The lazy component of route "${record.path}" didn't resolve to a component`);
+        }
+
+        return component;
+      });
+      promise.catch(() => this.#lazyComponents.delete(loader));
+      this.#lazyComponents.set(loader, promise);
+    }
+
+    return this.#lazyComponents.get(loader).then((component) => {
+      record.component = component;
+    });
+  }
+
+  async #runGuards(guards, from, to) {
+    for (const guard of guards) {
+      if (typeof guard !== 'function') {
+        continue;
+      }
+
+      const result = await guard(from, to);
+
+      if (result === false) {
+        return {
+          shouldRedirect: false,
+          shouldNavigate: false,
+          redirectPath: null,
+        }
+      }
+
+      if (typeof result === 'string' || (result != null && typeof result === 'object')) {
+        return {
+          shouldRedirect: true,
+          shouldNavigate: false,
+          redirectPath: result,
+        }
       }
     }
 
@@ -168,6 +503,148 @@ export class HashRouter {
   }
 }
 
+function findChangedDepth(from, to) {
+  const depth = to.matched.findIndex((record, i) => record !== from.matched[i]);
+
+  return depth === -1 ? to.matched.length - 1 : depth;
+}
+
+function resolveTitle(to) {
+  const record = to.matched.findLast((record) => record.title != null);
+
+  if (!record) {
+    return null;
+  }
+
+  return typeof record.title === 'function' ? record.title(to) : record.title;
+}
+
+function createAnnouncer() {
+  const announcer = document.createElement('div');
+  announcer.setAttribute('aria-live', 'polite');
+  announcer.setAttribute('aria-atomic', 'true');
+  announcer.setAttribute('role', 'status');
+  announcer.style.cssText = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0';
+  document.body.appendChild(announcer);
+
+  return announcer;
+}
+
+function isLazyComponent(component) {
+  return typeof component === 'function' && !isComponentClass(component);
+}
+
+export function isPlainLeftClick(event) {
+  return event.button === 0 && !(event.metaKey || event.ctrlKey || event.shiftKey || event.altKey);
+}
+
+function addHook(hooks, hook) {
+  hooks.push(hook);
+
+  return () => {
+    const idx = hooks.indexOf(hook);
+
+    if (idx !== -1) {
+      hooks.splice(idx, 1);
+    }
+  }
+}
+
+function redirectMode(mode) {
+  return mode === NAVIGATION_MODES.POP ? NAVIGATION_MODES.REPLACE : mode;
+}
+
+function stringifyQuery(query) {
+  const entries = Object.entries(query).filter(([, value]) => value != null);
+  const search = new URLSearchParams(entries).toString();
+
+  return search ? `?${search}` : '';
+}
+
+function normalizeHash(hash) {
+  if (hash === '' || hash.startsWith('#')) {
+    return hash;
+  }
+
+  return `#${hash}`;
+}
+
+function splitPath(path) {
+  const [pathWithQuery, ...hashParts] = path.split('#');
+  const [pathname] = pathWithQuery.split('?');
+  const hash = hashParts.length > 0 ? `#${hashParts.join('#')}` : '';
+
+  return { pathname: pathname || '/', pathWithQuery, hash };
+}
+
+export class HashRouter extends Router {
+  constructor(routes = [], options = {}) {
+    super(routes, createHashHistory(), options);
+  }
+}
+
+export class HistoryRouter extends Router {
+  #onClick = (event) => this.#interceptLinkClick(event);
+
+  constructor(routes = [], { base = '', ...options } = {}) {
+    super(routes, createWebHistory(base), options);
+  }
+
+  async init() {
+    document.addEventListener('click', this.#onClick);
+    await super.init();
+  }
+
+  destroy() {
+    document.removeEventListener('click', this.#onClick);
+    super.destroy();
+  }
+
+  #interceptLinkClick(event) {
+    if (event.defaultPrevented || !isPlainLeftClick(event)) {
+      return;
+    }
+
+    const anchor = event.target.closest?.('a[href]');
+
+    if (
+      !anchor ||
+      anchor.hasAttribute('download') ||
+      (anchor.target && anchor.target !== '_self') ||
+      anchor.origin !== window.location.origin
+    ) {
+      return;
+    }
+
+    const { pathname, search, hash } = window.location;
+
+    if (anchor.hash && anchor.pathname === pathname && anchor.search === search && anchor.hash !== hash) {
+      return;
+    }
+
+    const { base } = this.history;
+
+    if (base && anchor.pathname !== base && !anchor.pathname.startsWith(`${base}/`)) {
+      return;
+    }
+
+    const path = `${anchor.pathname.slice(base.length) || '/'}${anchor.search}${anchor.hash}`;
+
+    if (!this.hasMatch(path)) {
+      return;
+    }
+
+    event.preventDefault();
+    this.navigateTo(path);
+  }
+}
+
+export class MemoryRouter extends Router {
+  constructor(routes = [], { initialPath = '/', focusReset = false, ...options } = {}) {
+    super(routes, createMemoryHistory(initialPath), { focusReset, ...options });
+  }
+}
+
 export class NoopRouter {
   init () {};
   destroy () {};
@@ -176,4 +653,17 @@ export class NoopRouter {
   forward () {};
   subscribe () {};
   unsubscribe () {};
-}
\ No newline at end of file
+  createHref (path) { return path; }
+  hasMatch () { return false; }
+  preload () { return Promise.resolve(); }
+  get currentLocation () { return null; }
+  resolve (to) { return typeof to === 'string' ? to : to.path; }
+  get matched () { return []; }
+  beforeLeave () { return () => {}; }
+  beforeEach () { return () => {}; }
+  beforeResolve () { return () => {}; }
+  afterEach () { return () => {}; }
+  onError () { return () => {}; }
+  onLoadingChange () { return () => {}; }
+  getRouteData () { return undefined; }
+}
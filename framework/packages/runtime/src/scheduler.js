@@ -1,11 +1,17 @@
 let isScheduled = false;
 const jobs = [];
+const renderJobs = [];
 
 export function enqueueJob(job) {
   jobs.push(job);
   scheduleUpdate();
 }
 
+export function enqueueRenderJob(job, depth = 0) {
+  renderJobs.push({ job, depth });
+  scheduleUpdate();
+}
+
 function scheduleUpdate() {
   if (isScheduled) return;
 
@@ -14,6 +20,8 @@ function scheduleUpdate() {
 }
 
 function processJobs() {
+  flushRenderJobs();
+
   while (jobs.length > 0) {
     const job = jobs.shift();
     const result = job();
@@ -22,11 +30,33 @@ function processJobs() {
       () => {},
       (error) => { console.error(`[scheduler]: ${error}`) }
     );
+
+    flushRenderJobs();
   }
-  
+
   isScheduled = false;
 }
 
+function flushRenderJobs() {
+  while (renderJobs.length > 0) {
+    renderJobs.sort((a, b) => a.depth - b.depth);
+    const { job } = renderJobs.shift();
+
+    try {
+      job();
+    } catch (error) {
+      console.error(`[scheduler]: ${error}`);
+    }
+  }
+}
+
+export function flushSync(fn) {
+  const result = fn?.();
+  flushRenderJobs();
+
+  return result;
+}
+
 export function nextTick() {
   scheduleUpdate();
   return flushPromises();
@@ -34,4 +64,4 @@ export function nextTick() {
 
 function flushPromises() {
   return new Promise((resolve) => setTimeout(resolve));
-}
\ No newline at end of file
+}
@@ -0,0 +1,36 @@
+export function getScrollPosition() {
+  return { left: window.scrollX, top: window.scrollY };
+}
+
+export function scrollToPosition({ el, left = 0, top = 0, behavior }) {
+  if (el == null) {
+    window.scrollTo({ left, top, behavior });
+    return;
+  }
+
+  const element = findElement(el);
+
+  if (!element) {
+    console.warn(`[Router] Couldn't find the element "${el}" to scroll to`);
+    return;
+  }
+
+  const rect = element.getBoundingClientRect();
+  window.scrollTo({
+    left: rect.left + window.scrollX - left,
+    top: rect.top + window.scrollY - top,
+    behavior,
+  });
+}
+
+function findElement(el) {
+  if (typeof el !== 'string') {
+    return el;
+  }
+
+  if (el.startsWith('#')) {
+    return document.getElementById(decodeURIComponent(el.slice(1)));
+  }
+
+  return document.querySelector(el);
+}
@@ -1,28 +1,54 @@
-import { DOM_TYPES, hFragment } from "./h";
+import { DEFAULT_SLOT, DOM_TYPES, hFragment } from "./h";
 import { traverseDFS } from "./traverse-dom";
 
 export function fillSlots(vdom, externalContent = []) {
+  const slots = resolveSlots(externalContent);
+
+  if (vdom.type === DOM_TYPES.SLOT) {
+    return renderSlot(vdom, slots);
+  }
+
   function processNode(node, parent, index) {
-    insertViewInSlot(node, parent, index, externalContent);
+    insertViewInSlot(node, parent, index, slots);
   };
 
   traverseDFS(vdom, processNode, shouldSkipBranch);
+
+  return vdom;
 }
 
-function insertViewInSlot(node, parent, index, externalContent) {
-  if (node.type !== DOM_TYPES.SLOT) return;
+function resolveSlots(externalContent) {
+  if (!Array.isArray(externalContent)) {
+    return externalContent ?? {};
+  }
 
-  const defaultContent = node.children;
-  const views = externalContent.length > 0 ? externalContent : defaultContent;
+  const slots = {};
 
-  const hasContent = views.length > 0;
-  if (hasContent) {
-    parent.children.splice(index, 1, hFragment(views));
-  } else {
-    parent.children.splice(index, 1);
+  for (const child of externalContent) {
+    const { slot: name = DEFAULT_SLOT, ...props } = child.props ?? {};
+    const view = child.props?.slot == null ? child : { ...child, props };
+
+    slots[name] ??= [];
+    slots[name].push(view);
   }
+
+  return slots;
+}
+
+function insertViewInSlot(node, parent, index, slots) {
+  if (node.type !== DOM_TYPES.SLOT) return;
+
+  parent.children.splice(index, 1, renderSlot(node, slots));
+}
+
+function renderSlot(node, slots) {
+  const content = slots[node.name];
+  const views = typeof content === 'function' ? content(node.props) : content;
+  const fragment = hFragment([].concat(views ?? []));
+
+  return fragment.children.length > 0 ? fragment : hFragment(node.children);
 }
 
 function shouldSkipBranch(node) {
   return node.type === DOM_TYPES.COMPONENT;
-}
\ No newline at end of file
+}
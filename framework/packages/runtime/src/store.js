@@ -0,0 +1,62 @@
+import { Dispatcher } from "./dispatcher";
+import { computed, onScopeDispose, signal } from "./reactivity";
+import { hasOwnProperty } from "./utils/objects";
+
+export class Store {
+  #state;
+  #actions;
+  #dispatcher = new Dispatcher();
+
+  constructor({ state = {}, reducers = {}, actions = {} } = {}) {
+    this.#state = typeof state === 'function' ? state() : state;
+    this.#actions = actions;
+
+    for (const [commandName, reducer] of Object.entries(reducers)) {
+      this.#dispatcher.subscribe(commandName, (payload) => {
+        this.#state = reducer(this.#state, payload);
+      });
+    }
+
+    this.dispatch = this.dispatch.bind(this);
+    this.getState = this.getState.bind(this);
+  }
+
+  get state() {
+    return this.#state;
+  }
+
+  getState() {
+    return this.#state;
+  }
+
+  dispatch(commandName, payload) {
+    if (hasOwnProperty(this.#actions, commandName)) {
+      return this.#runAction(commandName, payload);
+    }
+
+    this.#dispatcher.dispatch(commandName, payload);
+  }
+
+  async #runAction(actionName, payload) {
+    const action = this.#actions[actionName];
+    return action({ dispatch: this.dispatch, getState: this.getState }, payload);
+  }
+
+  subscribe(listener) {
+    return this.#dispatcher.afterEveryCommand(() => listener(this.#state));
+  }
+
+  select(selector) {
+    const selected = signal(selector(this.#state));
+    const unsubscribe = this.subscribe((state) => {
+      selected.value = selector(state);
+    });
+    onScopeDispose(unsubscribe);
+
+    return computed(() => selected.value);
+  }
+}
+
+export function createStore(options) {
+  return new Store(options);
+}
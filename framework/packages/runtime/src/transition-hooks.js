@@ -0,0 +1,190 @@
+const leavingElements = new WeakSet();
+const pendingEnters = new WeakMap();
+let leavingCount = 0;
+
+export function childNodesOf(parentEl) {
+  if (leavingCount === 0) {
+    return parentEl.childNodes;
+  }
+
+  return Array.from(parentEl.childNodes).filter((node) => !leavingElements.has(node));
+}
+
+export function isLeaving(el) {
+  return leavingElements.has(el);
+}
+
+export function performEnter(el, { name, css, duration, hooks }) {
+  let isCancelled = false;
+
+  hooks.onBeforeEnter?.(el);
+
+  if (css) {
+    el.classList.add(`${name}-enter-from`, `${name}-enter-active`);
+  }
+
+  const finish = once(() => {
+    pendingEnters.delete(el);
+
+    if (css) {
+      el.classList.remove(`${name}-enter-from`, `${name}-enter-active`, `${name}-enter-to`);
+    }
+
+    if (!isCancelled) {
+      hooks.onAfterEnter?.(el);
+    }
+  });
+
+  pendingEnters.set(el, () => {
+    isCancelled = true;
+    hooks.onEnterCancelled?.(el);
+    finish();
+  });
+
+  nextFrame(() => {
+    if (isCancelled) {
+      return;
+    }
+
+    if (css) {
+      el.classList.remove(`${name}-enter-from`);
+      el.classList.add(`${name}-enter-to`);
+    }
+
+    runTransitionHook(el, hooks.onEnter, css, duration, finish);
+  });
+}
+
+export function performLeave(el, { name, css, duration, hooks }, remove) {
+  pendingEnters.get(el)?.();
+
+  leavingElements.add(el);
+  leavingCount++;
+
+  hooks.onBeforeLeave?.(el);
+
+  if (css) {
+    el.classList.add(`${name}-leave-from`, `${name}-leave-active`);
+  }
+
+  const finish = once(() => {
+    leavingElements.delete(el);
+    leavingCount--;
+    remove();
+
+    if (css) {
+      el.classList.remove(`${name}-leave-from`, `${name}-leave-active`, `${name}-leave-to`);
+    }
+
+    hooks.onAfterLeave?.(el);
+  });
+
+  nextFrame(() => {
+    if (css) {
+      el.classList.remove(`${name}-leave-from`);
+      el.classList.add(`${name}-leave-to`);
+    }
+
+    runTransitionHook(el, hooks.onLeave, css, duration, finish);
+  });
+}
+
+function runTransitionHook(el, hook, css, duration, done) {
+  const expectsDone = typeof hook === 'function' && hook.length >= 2;
+  hook?.(el, done);
+
+  if (expectsDone) {
+    return;
+  }
+
+  if (css) {
+    whenTransitionEnds(el, duration, done);
+  } else {
+    done();
+  }
+}
+
+export function whenTransitionEnds(el, duration, done) {
+  const { timeout, propertyCount } = duration != null
+    ? { timeout: duration, propertyCount: Infinity }
+    : getTransitionInfo(el);
+
+  if (timeout <= 0) {
+    done();
+    return;
+  }
+
+  let endedCount = 0;
+
+  const finish = () => {
+    clearTimeout(timer);
+    el.removeEventListener('transitionend', onEnd);
+    el.removeEventListener('animationend', onEnd);
+    done();
+  };
+
+  const onEnd = (event) => {
+    if (event.target !== el) {
+      return;
+    }
+
+    endedCount++;
+
+    if (event.type === 'animationend' || endedCount >= propertyCount) {
+      finish();
+    }
+  };
+
+  const timer = setTimeout(finish, timeout + 1);
+  el.addEventListener('transitionend', onEnd);
+  el.addEventListener('animationend', onEnd);
+}
+
+function getTransitionInfo(el) {
+  const styles = window.getComputedStyle(el);
+  const transitionTimeout = getTimeout(styles.transitionDelay, styles.transitionDuration);
+  const animationTimeout = getTimeout(styles.animationDelay, styles.animationDuration);
+  const propertyCount = transitionTimeout > animationTimeout
+    ? styles.transitionProperty.split(',').length
+    : 1;
+
+  return { timeout: Math.max(transitionTimeout, animationTimeout), propertyCount };
+}
+
+function getTimeout(delays = '', durations = '') {
+  const delayList = delays.split(',').map(toMs);
+  const durationList = durations.split(',').map(toMs);
+
+  return Math.max(0, ...durationList.map((duration, i) => duration + delayList[i % delayList.length]));
+}
+
+function toMs(value) {
+  const time = value.trim();
+  const number = Number.parseFloat(time);
+
+  if (Number.isNaN(number)) {
+    return 0;
+  }
+
+  return time.endsWith('ms') ? number : number * 1000;
+}
+
+export function nextFrame(callback) {
+  if (typeof requestAnimationFrame !== 'function') {
+    setTimeout(callback, 16);
+    return;
+  }
+
+  requestAnimationFrame(() => requestAnimationFrame(callback));
+}
+
+function once(fn) {
+  let hasRun = false;
+
+  return (...args) => {
+    if (!hasRun) {
+      hasRun = true;
+      fn(...args);
+    }
+  };
+}
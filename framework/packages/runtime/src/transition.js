@@ -0,0 +1,169 @@
+import { defineComponent } from "./component";
+import { DOM_TYPES, extractChildren, h, hString } from "./h";
+import { isLeaving, performEnter, performLeave, whenTransitionEnds } from "./transition-hooks";
+
+const transitionProps = {
+  name: { type: String, default: 'v' },
+  appear: { type: Boolean, default: false },
+  css: { type: Boolean, default: true },
+  duration: [Number, Object],
+  onBeforeEnter: Function,
+  onEnter: Function,
+  onAfterEnter: Function,
+  onEnterCancelled: Function,
+  onBeforeLeave: Function,
+  onLeave: Function,
+  onAfterLeave: Function,
+};
+
+export const Transition = defineComponent({
+  name: 'Transition',
+
+  props: transitionProps,
+
+  state() {
+    return {
+      hooks: createTransitionHooks(this),
+    }
+  },
+
+  render() {
+    const children = this.externalContent.filter(isTransitionable);
+
+    if (children.length > 1) {
+      console.warn('[Transition] <Transition> can only animate a single element or component: use <TransitionGroup> for lists');
+    }
+
+    if (children.length === 0) {
+      return hString('');
+    }
+
+    return { ...children[0], transition: this.state.hooks };
+  },
+})
+
+export const TransitionGroup = defineComponent({
+  name: 'TransitionGroup',
+
+  props: {
+    ...transitionProps,
+    tag: { type: String, default: 'div' },
+    moveClass: String,
+  },
+
+  state() {
+    return {
+      hooks: createTransitionHooks(this),
+    }
+  },
+
+  onBeforeUpdate() {
+    this.positions = this.capturePositions();
+  },
+
+  onUpdated() {
+    this.applyMoves(this.positions);
+  },
+
+  capturePositions() {
+    const container = this.firstElement;
+
+    if (!container?.isConnected) {
+      return new Map();
+    }
+
+    return new Map(
+      Array.from(container.children)
+        .filter((el) => !isLeaving(el))
+        .map((el) => [el, el.getBoundingClientRect()])
+    );
+  },
+
+  applyMoves(positions) {
+    const { css, name, moveClass = `${name}-move` } = this.props;
+    const { duration } = resolveOptions(this.props, 'move');
+    const movedElements = [];
+
+    for (const [el, oldRect] of positions) {
+      if (!el.isConnected || isLeaving(el)) {
+        continue;
+      }
+
+      const newRect = el.getBoundingClientRect();
+      const dx = oldRect.left - newRect.left;
+      const dy = oldRect.top - newRect.top;
+
+      if (dx !== 0 || dy !== 0) {
+        el.style.transform = `translate(${dx}px, ${dy}px)`;
+        el.style.transitionDuration = '0s';
+        movedElements.push(el);
+      }
+    }
+
+    if (!css || movedElements.length === 0) {
+      movedElements.forEach((el) => {
+        el.style.transform = '';
+        el.style.transitionDuration = '';
+      });
+      return;
+    }
+
+    forceReflow();
+
+    movedElements.forEach((el) => {
+      el.classList.add(moveClass);
+      el.style.transform = '';
+      el.style.transitionDuration = '';
+      whenTransitionEnds(el, duration, () => el.classList.remove(moveClass));
+    });
+  },
+
+  render() {
+    const children = extractChildren({ children: this.externalContent }).map((child) => {
+      if (!isTransitionable(child)) {
+        return child;
+      }
+
+      if (child.props?.key == null) {
+        console.warn('[TransitionGroup] Children of <TransitionGroup> must have a "key" prop');
+      }
+
+      return { ...child, transition: this.state.hooks };
+    });
+
+    return h(this.props.tag, {}, children);
+  },
+})
+
+function createTransitionHooks(component) {
+  return {
+    enter(el) {
+      if (component.isMounted || component.props.appear) {
+        performEnter(el, resolveOptions(component.props, 'enter'));
+      }
+    },
+
+    leave(el, remove) {
+      performLeave(el, resolveOptions(component.props, 'leave'), remove);
+    },
+  };
+}
+
+function resolveOptions(props, phase) {
+  const { name, css, duration } = props;
+
+  return {
+    name,
+    css,
+    duration: duration != null && typeof duration === 'object' ? duration[phase] : duration,
+    hooks: props,
+  };
+}
+
+function isTransitionable(vdom) {
+  return [DOM_TYPES.ELEMENT, DOM_TYPES.COMPONENT, DOM_TYPES.FUNCTIONAL].includes(vdom?.type);
+}
+
+function forceReflow() {
+  return document.body.offsetHeight;
+}
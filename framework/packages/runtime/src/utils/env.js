@@ -0,0 +1,3 @@
+export function isDevelopment() {
+  return typeof process !== 'undefined' && process.env?.NODE_ENV !== 'production';
+}
@@ -11,6 +11,12 @@ export function objectsDiff(oldObj, newObj) {
   }
 }
 
+export function shallowEqual(oldObj = {}, newObj = {}) {
+  const { added, removed, updated } = objectsDiff(oldObj, newObj);
+
+  return added.length === 0 && removed.length === 0 && updated.length === 0;
+}
+
 export function hasOwnProperty(obj, prop) {
   return Object.prototype.hasOwnProperty.call(obj, prop);
 }
\ No newline at end of file
@@ -1,6 +1,8 @@
 export function extractPropsAndEvents(vdom) {
   const { on: events = {}, ...props } = vdom.props;
   delete props.key;
+  delete props.ref;
+  delete props.model;
 
   return { props, events };
 }
\ No newline at end of file